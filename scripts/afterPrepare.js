@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+/* global logger */
+
+'use strict'; // eslint-disable-line strict, lines-around-directive
+
+const path = require('path');
+const common = require('./common');
+
+/**
+ * Installs the build of every platform, when several platforms were built apart by the
+ * before_prepare hook of the same prepare, into the www of the platform.
+ */
+module.exports = (context) => {
+    const www = path.join(context.opts.projectRoot, 'www');
+
+    try {
+        common.initInstall(context);
+    } catch (err) {
+        return Promise.reject(err);
+    }
+    return common.takeBuiltPlatforms()
+        .then(platforms => platforms
+            .filter(platform => common.getPlatforms().indexOf(platform) >= 0)
+            .reduce((promise, platform) => promise
+                .then(() => common.installPlatformBuild(platform, www)), Promise.resolve()))
+        .catch((err) => {
+            logger.error('There was an error while processing after_prepare:', err);
+            return Promise.reject(err);
+        });
+};
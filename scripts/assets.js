@@ -0,0 +1,84 @@
+/* global logger */
+
+'use strict'; // eslint-disable-line strict, lines-around-directive
+
+const SVGO = require('svgo');
+const chalk = require('chalk');
+const formatSize = require('./sizes').formatSize;
+
+// viewBox is kept, as icons without it can not be scaled with css
+const svgo = new SVGO({ plugins: [{ removeViewBox: false }] });
+
+/**
+ * Minifies a JSON file, removing its whitespace.
+ * @param content {string} the content.
+ * @return {Promise} with the minified content.
+ */
+function minifyJson(content) {
+    return new Promise(resolve => resolve(JSON.stringify(JSON.parse(content.replace(/^\uFEFF/, '')))));
+}
+
+/**
+ * Minifies a SVG file with svgo, removing editor metadata, comments and useless attributes.
+ * @param content {string} the content.
+ * @return {Promise} with the minified content.
+ */
+function minifySvg(content) {
+    return new Promise((resolve, reject) => {
+        svgo.optimize(content, result => (result.error
+            ? reject(new Error(result.error)) : resolve(result.data)));
+    });
+}
+
+const minifiers = {
+    json: minifyJson,
+    svg: minifySvg,
+};
+
+/**
+ * Minifies a resource.
+ * @param type {string} the type of the resource: json or svg.
+ * @param content {string} the content.
+ * @return {Promise} with the minified content.
+ */
+function minify(type, content) {
+    return minifiers[type](content);
+}
+
+/**
+ * Counts the bytes saved by optimising a resource.
+ * @param savings {Object} the savings by type: { json: { files, size, optimised } }.
+ * @param type {string} the type of the resource: json, svg or map (removed).
+ * @param size {number} the size of the resource.
+ * @param optimised {number} the size of the optimised resource, 0 when it is removed.
+ * @return {Object} the savings.
+ */
+function count(savings, type, size, optimised) {
+    const saving = savings[type] || { files: 0, size: 0, optimised: 0 };
+    return Object.assign(savings, {
+        [type]: {
+            files: saving.files + 1,
+            size: saving.size + size,
+            optimised: saving.optimised + optimised,
+        },
+    });
+}
+
+/**
+ * Logs the bytes saved by optimising resources, by type.
+ * @param savings {Object} the savings by type (see count).
+ */
+function log(savings) {
+    Object.keys(savings).forEach((type) => {
+        const saving = savings[type];
+        logger.info(chalk.cyan(`Optimised ${saving.files} ${type} file(s): ${formatSize(saving.size)} -> `
+            + `${type === 'map' ? 'removed' : formatSize(saving.optimised)}, `
+            + `saved ${formatSize(saving.size - saving.optimised)}`));
+    });
+}
+
+module.exports = {
+    minify,
+    count,
+    log,
+};
@@ -4,34 +4,80 @@
 'use strict'; // eslint-disable-line strict, lines-around-directive
 
 const path = require('path');
-const fs = require('fs');
 const common = require('./common');
+const server = require('./server');
 const chokidar = require('chokidar');
 const glob = require('glob');
 
-let isServingFile;
+/**
+ * Releases the build lock of the watcher, so later prepares build again. Uncaught errors are
+ * logged, as they would otherwise stop the watcher silently.
+ */
+function cleanUp(isExit, err) {
+    common.unlockBuild();
+    if (err) {
+        logger.error('Watcher stopped by an unexpected error:', err);
+    }
+    if (isExit) {
+        process.exit(err ? 1 : 0);
+    }
+}
 
 /**
- * Removes the isServingFile, needed in order to know if we are under `phonegap serve` or not
+ * Gets a handler that logs the error of a failed task, saying where it was run, and rejects
+ * with it.
+ * @param where {string} what was being done, like `processing before_prepare`.
+ * @return {function} the handler.
  */
-function cleanUp(isExit) {
-    try {
-        fs.unlinkSync(isServingFile);
-    } catch (e) { } // eslint-disable-line no-empty
+function reportFailure(where) {
+    return (err) => {
+        logger.error(`There was an error while ${where}:`, err);
+        return Promise.reject(err);
+    };
+}
 
-    if (isExit) {
-        process.exit();
+/**
+ * Runs a task holding the build lock, so builds and watchers of the project never run at once.
+ * The lock of a watch is held until the process exits (see watch).
+ * @param mode {string} what the task is: build or watch.
+ * @param task {function} the task, returning a promise.
+ * @return {Promise} rejected without running the task when another process holds the lock.
+ */
+function runLocked(mode, task) {
+    const owner = common.lockBuild(mode);
+
+    if (owner.pid !== process.pid) {
+        const err = new Error(`Another ${owner.mode} of the project is running in process ${owner.pid}`
+            + ` since ${owner.date}, wait for it to finish or stop it (${common.getLockPath()})`);
+        logger.error(err.message);
+        return Promise.reject(err);
     }
+    if (mode === 'watch') {
+        return task();
+    }
+    return task()
+        .then((res) => {
+            common.unlockBuild();
+            return res;
+        }, (err) => {
+            common.unlockBuild();
+            return Promise.reject(err);
+        });
 }
 
 /**
- * Watch any change in src and copies them to www
+ * Watch any change in src and copies them to www (or removes them from www), except the files
+ * ignored by .buildignore. When isBuild is set, changes are incrementally processed by the build
+ * pipeline instead.
+ * Clients of the dev server, if started, are reloaded after each change.
  */
-function watch(src, www) {
+function watch(src, www, isBuild) {
+    let queue = Promise.resolve();
+
     process.nextTick(() => {
         logger.info(`Watching ${src}`);
         chokidar.watch(path.join(src, '**/*'), {
-            ignored: /[\/\\]\./,
+            ignored: [/[\/\\]\./, file => common.isBuildIgnored(file)],
             awaitWriteFinish: {
                 stabilityThreshold: 2000,
                 pollInterval: 100,
@@ -41,84 +87,166 @@ function watch(src, www) {
         })
             .on('all', (event, _path) => {
                 logger.info(`${event}: ${_path}`);
-                try {
-                    common.copyFiles([_path], src, www);
-                } catch (e) {
-                    logger.error(e);
+                if (/\.html$/i.test(_path)) {
+                    // References of html entries are never ignored
+                    common.loadBuildIgnore(src);
                 }
+                // Events are handled one at a time, so bundles are never written concurrently
+                queue = queue
+                    .then(() => (isBuild
+                        ? common.updateAngular(src, www, _path, event)
+                        : common.syncFile(event, _path, src, www)))
+                    .then(() => server.reload([_path]))
+                    .catch(err => logger.error(err));
             });
     });
 
     process.on('exit', () => cleanUp());
     process.on('SIGINT', () => cleanUp(true));
-    process.on('uncaughtException', () => cleanUp(true));
+    process.on('SIGTERM', () => cleanUp(true));
+    process.on('uncaughtException', err => cleanUp(true, err));
 
     return Promise.resolve();
 }
 
+/**
+ * Copies src to www without building, except the files ignored by .buildignore.
+ */
 function serve(src, tmp, www) {
+    common.loadBuildIgnore(src);
     return common.clean(www)
         .then(() => common.ensureDirExists(www))
         .then(() => new Promise((resolve, reject) => {
             glob(`${src}/**/*`, { nodir: true }, (err, files) => {
-                common.copyFiles(files, src, www)
+                common.copyFiles(files.filter(file => !common.isBuildIgnored(file)), src, www)
                     .then(resolve, reject);
             });
-        }))
-        .catch((err) => {
-            logger.error('There was an error while processing before_prepare:', err);
-            return Promise.reject(err);
-        });
+        }));
 }
 
 /**
- * Builds angular/ionic
+ * Starts the live reload dev server over www, when requested.
  */
-function build(src, tmp, www) {
+function startServer(www) {
+    const options = common.getOptions();
+    if (!options.devServer) {
+        return Promise.resolve();
+    }
+    return server.start(www, options.devServerPort, options.devServerHost)
+        .catch(err => logger.error(`Dev server could not be started: ${err.message}`));
+}
+
+/**
+ * Builds angular/ionic for a platform (or for none) into dest
+ */
+function buildPlatform(src, tmp, dest, platform) {
+    if (platform) {
+        logger.info(`Building for ${platform}`);
+    }
+    common.setPlatform(platform);
     return common.clean(tmp)
+        .then(() => common.initCache())
         .then(() => common.ensureDirExists(tmp))
         .then(() => common.processAngular(src, tmp))
-        .then(() => common.clean(www))
-        .then(() => common.ensureDirExists(www))
-        .then(() => common.mv(tmp, www))
-        .then(() => common.clean(tmp))
-        .catch((err) => {
-            logger.error('There was an error while processing before_prepare:', err);
-            return Promise.reject(err);
-        });
+        .then(() => common.swap(tmp, dest));
+}
+
+/**
+ * Restores the previous build of www and, when several platforms are prepared, of each platform.
+ */
+function rollback(www, platforms) {
+    return platforms.map(platform => common.getPlatformBuildPath(platform)).concat(www)
+        .reduce((promise, dest) => promise.then(() => common.rollback(dest)), Promise.resolve());
+}
+
+/**
+ * Builds angular/ionic. When several platforms are prepared, each one is built apart, the first
+ * one into www and all of them into their build path, from where they are installed into their
+ * platform by the after_prepare hook. When isFirstPlatform is set, only the first one is built.
+ * Every build is swapped in once complete, keeping the previous one for --rollback.
+ */
+function build(src, tmp, www, isFirstPlatform) {
+    const platforms = common.getPlatforms();
+    const isPerPlatform = platforms.length > 1 && !isFirstPlatform;
+    const builds = isPerPlatform ? platforms : [platforms[0]];
+
+    if (common.getOptions().rollback) {
+        return rollback(www, isPerPlatform ? platforms : [])
+            .then(() => isPerPlatform && common.setBuiltPlatforms(platforms));
+    }
+    return builds.reduce((promise, platform) => promise
+        .then(() => buildPlatform(src, tmp,
+            isPerPlatform ? common.getPlatformBuildPath(platform) : www, platform)),
+        Promise.resolve())
+        .then(() => isPerPlatform && common.clean(tmp)
+            .then(() => common.ensureDirExists(tmp))
+            .then(() => new Promise((resolve, reject) => {
+                const buildPath = common.getPlatformBuildPath(platforms[0]);
+                glob(`${buildPath}/**/*`, { nodir: true, dot: true }, (err, files) => (err ? reject(err)
+                    : common.copyFiles(files, buildPath, tmp).then(resolve, reject)));
+            }))
+            .then(() => common.swap(tmp, www))
+            .then(() => common.setBuiltPlatforms(platforms)));
 }
 
 /**
- * Process all sources from src to www.
+ * Process all sources from src to www, as the mode of the build says (see --mode): build them,
+ * copy them (copy), copy them and sync their changes (serve) or build them and rebuild their
+ * changes (watch).
  */
 module.exports = (context) => {
     const projectRoot = context.opts.projectRoot;
     const src = path.join(projectRoot, 'src');
     const tmp = path.join(projectRoot, 'tmp');
     const www = path.join(projectRoot, 'www');
-    let isServing;
-
-    common.init(context);
-    isServingFile = path.join(context.opts.plugin.dir, 'is-serving.tmp');
+    const failed = reportFailure('processing before_prepare');
+    let owner;
+    let mode;
+    let isWatch;
 
-    // Is serving the app?
     try {
-        fs.readFileSync(isServingFile);
-        isServing = true;
+        common.init(context);
+        owner = common.getLockOwner();
+        mode = common.getOptions().mode;
+        isWatch = mode === 'serve' || mode === 'watch';
     } catch (err) {
-        isServing = false;
+        return Promise.reject(err);
     }
+    common.logOptions();
 
-    // Is called from phonegap serve?
-    if (/\sserve/i.test(context.cmdLine) || /-w/i.test(context.cmdLine) || /-watch/i.test(context.cmdLine)) {
-        fs.writeFileSync(isServingFile, 'true');
-        return serve(src, tmp, www)
-            .then(() => watch(src, www));
-    } else if (/-skip/i.test(context.cmdLine)) {
-        return serve(src, tmp, www);
-    } else if (!isServing) {
-        return build(src, tmp, www);
-    }
+    // Only the platforms built apart by this prepare are installed by the after_prepare hook
+    return common.setBuiltPlatforms([]).then(() => {
+        // Is the app being watched (and served) by another process or by this one already?
+        if (owner && owner.mode === 'watch' && (!isWatch || owner.pid === process.pid)) {
+            logger.info(`Skipping build, sources are watched by process ${owner.pid}`);
+            return Promise.resolve();
+        }
 
-    return Promise.resolve();
+        if (mode === 'watch') {
+            return runLocked('watch', () => build(src, tmp, www, true)
+                .catch(failed)
+                .catch(() => logger.warn('Build failed, fix the errors and it will be built again'))
+                .then(() => startServer(www))
+                .then(() => watch(src, www, true)));
+        } else if (mode === 'serve') {
+            return runLocked('watch', () => serve(src, tmp, www)
+                .catch(failed)
+                .then(() => startServer(www))
+                .then(() => watch(src, www)));
+        } else if (mode === 'copy') {
+            return runLocked('build', () => serve(src, tmp, www).catch(failed));
+        }
+
+        return runLocked('build', () => build(src, tmp, www).catch(failed));
+    });
 };
+
+// Tasks are also run by the command line interface (see cli.js)
+Object.assign(module.exports, {
+    build,
+    serve,
+    runLocked,
+    reportFailure,
+    watch,
+    startServer,
+});
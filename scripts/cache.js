@@ -0,0 +1,91 @@
+/* global logger */
+
+'use strict'; // eslint-disable-line strict, lines-around-directive
+
+const mpath = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const del = require('del');
+const mkdirp = require('mkdirp');
+
+let cacheDir;
+let signature = '';
+let isEnabled = false;
+
+/**
+ * Gets the file where an entry is stored.
+ * @param kind {string} the kind of entry (eslint, script, link...).
+ * @param parts {Array} strings that identify the entry (file path, file content...).
+ * @return {string} the full path of the entry.
+ */
+function getEntryPath(kind, parts) {
+    const hash = crypto.createHash('sha1');
+    hash.update(signature);
+    parts.forEach(part => hash.update(`\0${part}`));
+    return mpath.join(cacheDir, kind, `${hash.digest('hex')}.json`);
+}
+
+/**
+ * Gets a cached entry.
+ * @param kind {string} the kind of entry (eslint, script, link...).
+ * @param parts {Array} strings that identify the entry (file path, file content...).
+ * @return {*} the cached value or undefined when it is not in the cache.
+ */
+function get(kind, parts) {
+    if (!isEnabled) {
+        return undefined;
+    }
+    try {
+        return JSON.parse(fs.readFileSync(getEntryPath(kind, parts), 'utf8'));
+    } catch (err) {
+        return undefined;
+    }
+}
+
+/**
+ * Stores an entry in the cache. Errors are only warned, as the cache is not needed to build.
+ * @param kind {string} the kind of entry (eslint, script, link...).
+ * @param parts {Array} strings that identify the entry (file path, file content...).
+ * @param value {*} the value to store, it must be serializable to JSON.
+ * @return {*} the value.
+ */
+function set(kind, parts, value) {
+    if (isEnabled) {
+        const entryPath = getEntryPath(kind, parts);
+        try {
+            mkdirp.sync(mpath.dirname(entryPath));
+            fs.writeFileSync(entryPath, JSON.stringify(value));
+        } catch (err) {
+            logger.warn(`Could not write build cache entry ${entryPath}: ${err.message}`);
+        }
+    }
+    return value;
+}
+
+/**
+ * Removes all entries from the cache.
+ * @return {Promise}
+ */
+function clear() {
+    logger.info(`Clearing build cache ${cacheDir}`);
+    return del([cacheDir]);
+}
+
+/**
+ * Initializes the cache.
+ * @param dir {string} the directory where the cache is stored.
+ * @param sign {string} anything that invalidates all entries when changed (options, versions...).
+ * @param enabled {boolean} whether to use the cache or not.
+ */
+function init(dir, sign, enabled) {
+    cacheDir = dir;
+    signature = sign;
+    isEnabled = enabled;
+}
+
+module.exports = {
+    init,
+    get,
+    set,
+    clear,
+};
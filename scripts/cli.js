@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+/* global logger */
+
+'use strict'; // eslint-disable-line strict, lines-around-directive
+
+const path = require('path');
+const common = require('./common');
+const tasks = require('./beforePrepare');
+const optionsSchema = require('./options');
+
+const usage = `Usage: ionic-plugin-build <command> [options]
+
+Builds an ionic/angular app out of cordova, the same way the before_prepare hook does.
+
+Commands:
+  build                           Build src into dest
+  watch                           Build, then rebuild incrementally whenever src changes
+  serve                           Like watch, also serving dest with live reload
+  clean                           Remove dest, its previous build, the temporary build and the build cache
+
+Options:
+  --src=<dir>                     Sources of the app (default: src)
+  --dest=<dir>                    Where the app is built (default: www)
+  --root=<dir>                    Project root, where build.config.js is (default: current dir)
+  --platform=<name>[,<name>]      Platforms to build for (PLATFORM preprocess variable)
+${optionsSchema.usage(['dest', 'mode', 'watch', 'skip', 'skip-all', 'watch-build', 'dev-server'])}
+
+Exit codes: 0 on success, 1 when the build fails, 2 on wrong usage.
+`;
+
+// Options of the command line interface itself, which take a value
+const cliOptions = ['root', 'src', 'dest', 'platform'];
+
+/**
+ * Parses command line arguments: `-name` and `--name` flags, `--name=value` or `--name value`
+ * options (see options.js, repeated ones are collected in an array) and commands.
+ * @param argv {Array} the arguments.
+ * @return {Object} with the commands and the options.
+ */
+function parseArgs(argv) {
+    const res = { commands: [], options: {} };
+    const takesValue = name => cliOptions.indexOf(name) >= 0 || optionsSchema.takesValue(name);
+    const add = (name, value) => {
+        const current = res.options[name];
+        res.options[name] = current === undefined ? value : [].concat(current, value);
+    };
+    let pending;
+
+    argv.forEach((arg) => {
+        const match = /^--?([^=]+)(?:=([^]*))?$/.exec(arg);
+        if (pending) {
+            // Followed by another option, it is left without value and fails as such
+            add(pending, match ? true : arg);
+            pending = undefined;
+            if (!match) {
+                return;
+            }
+        }
+        if (!match) {
+            res.commands.push(arg);
+        } else if (match[2] === undefined && takesValue(match[1])) {
+            pending = match[1];
+        } else {
+            add(match[1], match[2] === undefined ? true : match[2]);
+        }
+    });
+    if (pending) {
+        add(pending, true);
+    }
+    return res;
+}
+
+/**
+ * Whether a path is a directory or is inside it.
+ * @param dir {string} the directory.
+ * @param file {string} the path.
+ * @return {boolean}
+ */
+function isInside(dir, file) {
+    const relative = path.relative(dir, file);
+    return relative !== '..' && relative.indexOf(`..${path.sep}`) !== 0 && !path.isAbsolute(relative);
+}
+
+/**
+ * Runs a command.
+ * @param command {string} the command.
+ * @param root {string} the project root.
+ * @param src {string} the sources of the app.
+ * @param dest {string} where the app is built.
+ * @return {Promise}
+ */
+function run(command, root, src, dest) {
+    const tmp = path.join(root, 'tmp');
+    const failed = tasks.reportFailure(`running the ${command} command`);
+
+    if (command === 'build') {
+        return tasks.runLocked('build', () => tasks.build(src, tmp, dest).catch(failed));
+    }
+    if (command === 'clean') {
+        // dest of the configuration is checked here, as only the one of the command line is
+        const dirs = [dest, tmp, common.getBackupPath(dest),
+            path.join(root, common.getOptions().dest)];
+        const unsafe = dirs.filter(dir => isInside(dir, root) || isInside(dir, src));
+        if (unsafe.length) {
+            return failed(`Invalid dest ${unsafe.join(', ')}, removing it would remove the project`
+                + ' or its sources');
+        }
+        return tasks.runLocked('build', () => Promise.all(dirs.map(dir => common.clean(dir)))
+            .then(() => common.initCache())
+            .catch(failed));
+    }
+    return tasks.runLocked('watch', () => tasks.build(src, tmp, dest, true)
+        .catch(failed)
+        .catch(() => logger.warn('Build failed, fix the errors and it will be built again'))
+        .then(() => tasks.startServer(dest))
+        .then(() => tasks.watch(src, dest, true)));
+}
+
+/**
+ * Runs the command line interface.
+ * @param argv {Array} the arguments, without node and the script.
+ */
+function main(argv) {
+    const args = parseArgs(argv);
+    const command = args.commands[0];
+    const options = args.options;
+    const root = path.resolve(options.root || '.');
+    const src = path.resolve(root, options.src || 'src');
+    const dest = path.resolve(root, options.dest || 'www');
+    const platforms = options.platform ? String(options.platform).split(',') : [];
+    const fail = (message, code) => {
+        console.error(message); // eslint-disable-line no-console
+        process.exitCode = code;
+    };
+
+    if (options.h || options.help) {
+        console.log(usage); // eslint-disable-line no-console
+        return;
+    }
+    if (args.commands.length !== 1 || ['build', 'watch', 'serve', 'clean'].indexOf(command) < 0) {
+        fail(`${command ? `Unknown command: ${args.commands.join(' ')}\n\n` : ''}${usage}`, 2);
+        return;
+    }
+    if (isInside(dest, root) || isInside(dest, src)) {
+        fail(`Invalid --dest ${dest}, it would remove the project or its sources`, 2);
+        return;
+    }
+    // dest of common options is where platforms are built apart
+    ['root', 'src', 'dest', 'platform'].forEach(key => delete options[key]);
+    options.mode = { serve: 'watch', clean: 'build' }[command] || command;
+    if (command === 'serve') {
+        options['dev-server'] = true;
+    }
+    if (command === 'clean') {
+        options['clear-cache'] = true;
+    }
+
+    try {
+        common.init({
+            opts: {
+                projectRoot: root,
+                options,
+                platforms,
+            },
+        });
+    } catch (err) {
+        fail(err.message, 1);
+        return;
+    }
+    common.logOptions();
+    run(command, root, src, dest)
+        .catch(() => {
+            process.exitCode = 1;
+        });
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = main;
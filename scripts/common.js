@@ -5,6 +5,7 @@
 
 const mpath = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 
 const mvExt = require('mv');
 const opener = require('opener');
@@ -15,15 +16,29 @@ const preprocess = require('preprocess').preprocess;
 const templateCache = require('templatecache');
 const cheerio = require('cheerio');
 const ngAnnotate = require('ng-annotate');
+const acorn = require('acorn');
+const acornWalk = require('acorn/dist/walk');
 const uglify = require('uglify-js');
 const htmlMinify = require('html-minifier').minify;
 const htmlHint = require('htmlhint').HTMLHint;
+const cssLint = require('csslint').CSSLint;
 const glob = require('glob');
 const eslinter = require('eslint').linter;
 const CLIEngine = require('eslint').CLIEngine;
 const cssnano = require('cssnano');
 const mkdirp = require('mkdirp');
 const eslintReporter = require('eslint-html-reporter/reporter');
+const SourceMapConsumer = require('source-map').SourceMapConsumer;
+const SourceMapGenerator = require('source-map').SourceMapGenerator;
+const cache = require('./cache');
+const configLoader = require('./config');
+const sizes = require('./sizes');
+const assets = require('./assets');
+const ignore = require('./ignore');
+const serviceWorker = require('./serviceWorker');
+const constants = require('./constants');
+const optionsSchema = require('./options');
+const lock = require('./lock');
 
 const errPad = Array('12345 Error(s) '.length).join(' ');
 const warPad = Array('12345 Warning(s)'.length).join(' ');
@@ -35,6 +50,10 @@ const clcInfo = chalk.cyan;
 let bowerDir;
 let bowerInner;
 
+const pluginVersion = require('../package.json').version;
+
+const cachedTools = ['acorn', 'eslint', 'ng-annotate', 'uglify-js', 'cssnano', 'htmlhint', 'csslint', 'preprocess', 'svgo'];
+
 const uglifyOpts = {
     warnings: true,
     fromString: true,
@@ -78,11 +97,85 @@ const htmHintOpts = {
     'attr-no-duplication': true,
     'title-require': false,
 };
+const cssLintOpts = {
+    errors: 2,
+    'display-property-grouping': 1,
+    'duplicate-properties': 1,
+    'empty-rules': 1,
+};
+
+const envConfigOpts = {
+    dir: 'config',
+    module: 'config',
+    constant: 'CONFIG',
+};
+
+const serviceWorkerOpts = {
+    file: 'service-worker.js',
+    manifest: 'precache-manifest.json',
+    cacheName: 'precache',
+    exclude: [],
+};
+
+// Extensions of extended reports by format, formats other than html are eslint formatters
+const reportFormats = {
+    html: '.html',
+    json: '.json',
+    junit: '.junit.xml',
+    checkstyle: '.checkstyle.xml',
+};
+
+const inlineMimeTypes = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.svg': 'image/svg+xml',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf',
+    '.otf': 'font/otf',
+    '.eot': 'application/vnd.ms-fontobject',
+};
+
+let resourcesExclude = [/\.js$/i, /\.css$/i, /\.html$/i];
+let cssRewrites;
+let apps;
+let templateResourcesMode;
 
 let options;
+let optionSources = [];
+let buildConfig;
 let projectRoot;
 let preprocessOptions;
 let skipLintRegex;
+let vendorRegex;
+
+// Processed chunks of every angular app, kept in order to rebuild them incrementally
+const angularBuilds = {};
+// Lint messages by report name, for the summary of the build
+let lintReports = {};
+// Vendor bundles already written by an app, so other apps reference them instead of writing them
+let sharedBundles = {};
+// Custom transforms of the build configuration, by file type and stage
+let transforms;
+// Errors of the current build: [{ file, stage, message, line, column }]
+let buildErrors = [];
+// Bytes saved by optimising resources in the current build, by type (see assets.count)
+let resourceSavings = {};
+// Resources optimised by the current build, by target path, so a shared one is optimised once
+let optimisedResources = {};
+// Rules of .buildignore and .buildignore.<mode> for the current mode (see ignore.js)
+let ignoreRules = [];
+// Directory the rules of .buildignore are relative to, the sources of the apps
+let ignoreBase;
+// Scripts and stylesheets referenced by the html entries, which are never ignored
+let ignoreKept = [];
+// Angular module with the constant of the environment configuration
+let envConfigJs;
+// Platforms being prepared, without version
+let platforms = [];
 
 const logFileProgress = (message, filename, type) => {
     if (options.verbose || type === 'error') {
@@ -123,39 +216,155 @@ function ensureDirExists(dOut) {
     });
 }
 
-function prepareOptions(opts) {
-    options = opts;
-    options.help = options.h || options.help; // Help
-    options.production = options.p || options.prod || options.production || options.release; // Production
-    options.debug = options.d || options.debug; // DEBUG
-    options.angularDebug = options.ad || options['angular-debug']; // ANGULAR_DEBUG
-    options.skipLint = options.sl || options['skip-lint']; // Skip lint
-    options.noFailLint = options.nf || options['no-fail-lint']; // Don't fail on javascript/html errors
-    options.skipComp = options.sc || options['skip-comp']; // Skip compression
-    options.verbose = options.vb || options.verb || options.verbose; // Verbose
-    options.extendedReport = options.xr || options['extended-report']; // Extended hint reports
-    options.skipAll = options.sa || options['skip-all']; // Extended hint reports
-    options.preprocessResources = options.ppr || options['preprocess-resources']; // Preprocess resources
+/**
+ * Gets the preprocess variables defined by the user, from the `preprocess` build configuration,
+ * environment variables with its prefix (`PREPROCESS_API_URL` defines `API_URL`) and the
+ * --define option (`--define API_URL=https://...`), which take precedence in that order.
+ * Values `true` and `false` are taken as booleans.
+ * @param config {Object} the preprocess configuration: { context, envPrefix }.
+ * @param define {string|Array} the --define option, repeated or not.
+ * @return {Object} the defined variables.
+ */
+function getDefinedVariables(config, define) {
+    const prefix = config.envPrefix === undefined ? 'PREPROCESS_' : config.envPrefix;
+    const toValue = value => value === 'true' || (value === 'false' ? false : value);
+    const defined = Object.assign({}, config.context);
+
+    if (prefix) {
+        Object.keys(process.env)
+            .filter(key => key.indexOf(prefix) === 0 && key.length > prefix.length)
+            .forEach((key) => {
+                defined[key.slice(prefix.length)] = toValue(process.env[key]);
+            });
+    }
+    [].concat(define || []).forEach((definition) => {
+        const match = /^([A-Za-z_$][\w$]*)(?:=([^]*))?$/.exec(String(definition));
+        if (!match) {
+            throw new Error(`Invalid --define ${definition}, it must be like KEY=VALUE`);
+        }
+        defined[match[1]] = match[2] === undefined ? true : toValue(match[2]);
+    });
+    return defined;
+}
+
+/**
+ * Gets the mode of the build from the command running it, when it is not given with --mode:
+ * `serve` commands and -w or -wb flags serve, -skip flag copies and anything else builds. Flags
+ * are matched as whole arguments, so other ones starting alike (like --www-dir) do not count.
+ * @param cmdLine {string} the command line.
+ * @param given {Object} the resolved options.
+ * @return {string} the mode.
+ */
+function getCommandMode(cmdLine, given) {
+    const args = String(cmdLine || '').split(/\s+/);
+    const has = flags => flags.some(flag => args.indexOf(flag) >= 0);
+
+    if (given.watch || has(['serve', '-w', '-watch', '--watch', '-wb', '-watch-build', '--watch-build'])) {
+        return 'serve';
+    }
+    return given.skip || has(['-skip', '--skip']) ? 'copy' : 'build';
+}
+
+/**
+ * Resolves the options given by the command line and by the project configuration of the
+ * environment (see options.resolve), and sets the build configuration of the environment.
+ * @param opts {Object} the command line options.
+ * @param projectConfig {Object} the project configuration (see config.load).
+ * @param configSource {string} where the project configuration comes from.
+ * @return {Object} the options resolved from the command line (`given`) and from the
+ * configuration (`configured`).
+ */
+function resolveOptions(opts, projectConfig, configSource) {
+    const given = optionsSchema.resolve(opts, 'command line');
+    const isProduction = given.values.production === undefined
+        ? optionsSchema.resolve(projectConfig.options, configSource).values.production
+        : given.values.production;
+    buildConfig = configLoader.forEnv(projectConfig, isProduction ? 'production' : 'development');
+    return { given, configured: optionsSchema.resolve(buildConfig.options, configSource) };
+}
+
+/**
+ * Prepares options from command line ones, using the project configuration ones as defaults.
+ * Options are declared with their aliases, types and defaults in options.js; unknown ones are
+ * warned and values of a wrong type fail.
+ * @param opts {Object} the command line options.
+ * @param projectConfig {Object} the project configuration (see config.load).
+ * @param configSource {string} where the project configuration comes from.
+ * @param cmdLine {string} the command line running the build.
+ * @return {Object} the preprocess options.
+ */
+function prepareOptions(opts, projectConfig, configSource, cmdLine) {
+    const resolved = resolveOptions(opts, projectConfig, configSource);
+    const given = resolved.given;
+    const configured = resolved.configured;
+
+    configured.warnings.concat(given.warnings).forEach(warning => logger.warn(warning));
+    options = Object.assign(optionsSchema.getDefaults(), configured.values, given.values);
+    optionSources = [{
+        source: configSource,
+        values: configured.values,
+        names: Object.keys(configured.names)
+            .filter(property => given.names[property] === undefined)
+            .reduce((res, property) => Object.assign(res,
+                { [property]: configured.names[property] }), {}),
+    }, { source: 'command line', values: given.values, names: given.names }];
 
+    options.mode = options.mode || getCommandMode(cmdLine, options);
+    options.mode = options.mode === 'serve' && options.watchBuild ? 'watch' : options.mode;
+    options.watchBuild = options.mode === 'watch';
     options.skipComp = options.production ? options.skipComp : !options.skipComp;
     options.env = options.production ? 'production' : 'development';
+    options.envConfig = !!options.configEnv || buildConfig.envConfig !== undefined;
+    options.configEnv = options.configEnv || options.env;
     options.concatResources = options.production;
-    options.skipHtmlCompression = options.skipHtmlCompression || options.skipComp;
-    options.skipResCompression = options.skipResCompression || options.skipComp;
-    options.dest = options.dest || 'build';
+    options.skipHtmlCompression = options.skipComp;
+    options.skipResCompression = options.skipComp;
+    options.fingerprint = options.fingerprint && !options.watchBuild;
+    options.serviceWorker = options.serviceWorker && !options.watchBuild;
+    options.reportFormats = String(options.reportFormat || 'html').split(',').map(format => format.trim());
+    options.reportFormats.forEach((format) => {
+        if (!reportFormats[format]) {
+            throw new Error(`Unknown report format ${format}, valid ones are: ${Object.keys(reportFormats).join(', ')}`);
+        }
+    });
+    options.extendedReport = options.extendedReport || !!options.reportFormat;
+    options.openReports = !options.skipOpen && !process.env.CI;
 
     uglifyOpts.warnings = options.verbose;
     global.NODE_ENV = options.env;
 
-    return {
-        context: {
-            NODE_ENV: options.env,
-            DEBUG: (options.debug && options.production)
-                || (!options.debug && !options.production) ? true : undefined,
-            ANGULAR_DEBUG: (options.angularDebug && options.production)
-                || (!options.angularDebug && !options.production) ? true : undefined,
-        },
+    const context = {
+        NODE_ENV: options.env,
+        DEBUG: (options.debug && options.production)
+            || (!options.debug && !options.production) ? true : undefined,
+        ANGULAR_DEBUG: (options.angularDebug && options.production)
+            || (!options.angularDebug && !options.production) ? true : undefined,
+        PLATFORM: undefined,
     };
+    const defined = getDefinedVariables(buildConfig.preprocess || {}, options.define);
+    Object.keys(defined).forEach((key) => {
+        if (key in context) {
+            logger.warn(`Preprocess variable ${key} is set by the build, ignoring its defined value`);
+        } else {
+            context[key] = defined[key];
+        }
+    });
+
+    return { context };
+}
+
+/**
+ * Logs the resolved mode, environments and platforms of the build, and the options given by the
+ * build configuration and the command line, at the start of a run.
+ */
+function logOptions() {
+    logger.info(`Mode: ${options.mode}, environment: ${options.env}`
+        + `${options.configEnv === options.env ? '' : ` (configuration ${options.configEnv})`}`
+        + `, platforms: ${platforms.length ? platforms.join(', ') : 'none'}`);
+    optionSources
+        .filter(given => Object.keys(given.names).length)
+        .forEach(given => logger.info(`Options from ${given.source}:`
+            + ` ${optionsSchema.describe(given.values, given.names).join(' ')}`));
 }
 
 function padNumber(number, length) {
@@ -198,6 +407,168 @@ function basicReporter(messages, path) {
     return eCount + wCount;
 }
 
+/**
+ * Gets an error tagged with the stage of the pipeline where it happened (read, preprocess,
+ * transform, lint, parse, annotate, minify...). Errors already tagged keep their stage.
+ * @param stage {string} the stage.
+ * @param err {*} the error or its message.
+ * @return {Error} the tagged error.
+ */
+function stageError(stage, err) {
+    // Errors of some tools (postcss) are not instances of Error
+    const error = err instanceof Error || (err && typeof err.message === 'string')
+        ? err : new Error(String(err));
+    error.stage = error.stage || stage;
+    return error;
+}
+
+/**
+ * Runs a synchronous stage of the pipeline, tagging its errors with the stage.
+ * @param stage {string} the stage.
+ * @param fn {Function} the stage.
+ * @return {*} the result of the stage.
+ */
+function runStage(stage, fn) {
+    try {
+        return fn();
+    } catch (err) {
+        throw stageError(stage, err);
+    }
+}
+
+/**
+ * Records an error of the build, which fails once all apps are processed. Errors are recorded
+ * once, so they can be rejected up to the build.
+ * @param file {string} the file of the error, undefined when it is not about a file.
+ * @param err {*} the error (see stageError) or its message.
+ * @param location {Object} [Optional] { line, column }, taken from the error by default.
+ * @return {Error} the error, flagged as recorded.
+ */
+function addBuildError(file, err, location) {
+    const error = stageError('build', err);
+    const loc = location || error.loc || error;
+
+    if (!error.isRecorded) {
+        const recorded = {
+            file,
+            stage: error.stage,
+            message: error.reason || error.message,
+            line: loc.line,
+            column: [loc.column, loc.col].filter(column => column !== undefined)[0],
+        };
+        // Files shared by several apps fail once for each one
+        if (!buildErrors.some(other => JSON.stringify(other) === JSON.stringify(recorded))) {
+            buildErrors.push(recorded);
+        }
+        error.isRecorded = true;
+    }
+    return error;
+}
+
+/**
+ * Records the lint messages that fail the build.
+ * @param file {string} the linted file.
+ * @param messages {Array} the lint messages.
+ * @return {Error} an error to reject with, flagged as recorded.
+ */
+function addLintErrors(file, messages) {
+    messages.forEach(message => addBuildError(file,
+        stageError('lint', `${message.message}${message.ruleId ? ` (${message.ruleId})` : ''}`),
+        message));
+    return Object.assign(stageError('lint', 'Linting failed'), { isRecorded: true });
+}
+
+/**
+ * Rejects when errors have been recorded since some point of the build.
+ * @param since {number} [Optional] the number of errors at that point, 0 by default.
+ * @return {Promise}
+ */
+function checkBuildErrors(since) {
+    return buildErrors.length > (since || 0)
+        ? Promise.reject(Object.assign(new Error('Build errors'), { isRecorded: true }))
+        : Promise.resolve();
+}
+
+/**
+ * Logs a summary with all the errors of the build.
+ */
+function reportBuildErrors() {
+    logger.error(clcError(`Build failed with ${buildErrors.length} error(s):`));
+    buildErrors.forEach((error) => {
+        const file = error.file && mpath.isAbsolute(error.file)
+            ? mpath.relative(projectRoot, error.file) : error.file;
+        const location = error.line ? `:${error.line}${error.column !== undefined ? `:${error.column}` : ''}` : '';
+        logger.error(`  ${clcFile(`${file || 'build'}${location}`)} [${error.stage}] ${error.message}`);
+    });
+}
+
+// @ifdef and @ifndef are left out, as they test whether a variable is defined
+const preprocessDirectiveRegex = /@(if|elif|echo)\s+(.*?)\s*(?:-->|\*\/|$)/gm;
+const preprocessKeywords = ['true', 'false', 'null', 'undefined', 'typeof', 'instanceof', 'in', 'void', 'new'];
+
+/**
+ * Preprocesses content, resolving any directive in it (see https://github.com/jsoverson/preprocess).
+ * Expressions of @if, @elif and @echo that use an undefined variable are warned, taking it as
+ * undefined.
+ * @param content {string} the content to preprocess.
+ * @param filePath {string} the path of the file, for warnings.
+ * @param type {string} the type of the content for preprocess (html, js, css...).
+ * @return {string} the preprocessed content.
+ */
+function preprocessContent(content, filePath, type) {
+    const context = Object.assign({}, preprocessOptions.context);
+
+    content.replace(preprocessDirectiveRegex, (directive, name, expression, offset) => {
+        expression
+            .replace(/(["'])(?:\\.|(?!\1).)*\1/g, '')
+            .replace(/(^|[^.\w$])([A-Za-z_$][\w$]*)/g, (match, before, variable) => {
+                if (!(variable in context) && preprocessKeywords.indexOf(variable) < 0) {
+                    const line = content.slice(0, offset).split('\n').length;
+                    logger.warn(clcWarning(`Undefined preprocess variable ${variable} in ${filePath}:${line}`));
+                    context[variable] = undefined;
+                }
+                return match;
+            });
+        return directive;
+    });
+    return preprocess(content, context, { type });
+}
+
+/**
+ * Runs the custom transforms of a file type and stage (see `transforms` in the build
+ * configuration), one after the other. Each transform is called with the code, the full path of
+ * the file and a context, and returns the transformed code or a promise of it.
+ * @param type {string} the file type: js, css or html.
+ * @param stage {string} the stage: before or after.
+ * @param code {string} the code to transform.
+ * @param fullPath {string} the full path of the file.
+ * @param isVendor {boolean} [Optional] whether the file is in a vendor bundle.
+ * @return {Promise} with the transformed code.
+ */
+function runTransforms(type, stage, code, fullPath, isVendor) {
+    const context = {
+        type,
+        stage,
+        isVendor: !!isVendor,
+        env: options.env,
+        platform: preprocessOptions.context.PLATFORM,
+        sourceMaps: !!options.sourceMaps,
+        projectRoot,
+    };
+    return transforms[type][stage].reduce((promise, transform) => promise
+        .then((current) => {
+            logFileProgress(`Running ${stage} transform ${transform.name || ''}`.trim(), fullPath);
+            return transform(current, fullPath, context);
+        })
+        .then((transformed) => {
+            if (typeof transformed !== 'string') {
+                throw new Error(`A ${stage} ${type} transform did not return a string`);
+            }
+            return transformed;
+        }), Promise.resolve(code))
+        .catch(err => Promise.reject(stageError('transform', err)));
+}
+
 /**
  * Reads a file and preprocess it when specified, resolving any directive in it (see https://github.com/jsoverson/preprocess).
  * @param filePath {string} the path of the file to preprocess.
@@ -209,10 +580,15 @@ function readFile(filePath, isPreprocess) {
         logFileProgress('Reading', filePath);
         fs.readFile(filePath, (err, data) => {
             if (err) {
-                reject(err);
+                reject(stageError('read', err));
             } else if (isPreprocess) {
                 logFileProgress('Preprocessing', filePath);
-                resolve(preprocess(data.toString(), preprocessOptions));
+                try {
+                    resolve(preprocessContent(data.toString(), filePath,
+                        mpath.extname(filePath).slice(1).toLowerCase() || 'html'));
+                } catch (preprocessErr) {
+                    reject(stageError('preprocess', preprocessErr));
+                }
             } else {
                 resolve(data.toString());
             }
@@ -242,27 +618,159 @@ function writeFile(path, fileName, data) {
     });
 }
 
-/**
- * Prepares extended report
- * @param allMessages {Array} with all error messages.
- * @param reportName {string} the name of the report to write.
- * @param reporter {function} the function that will create the report.
- * @returns {Promise} with true if there where errors or false otherwise.
- */
-function prepareExtendedReport(allMessages, reportName, reporter) {
+function mv(orig, dest) {
     return new Promise((resolve, reject) => {
-        if (options.extendedReport && allMessages.length > 0) {
-            writeFile(mpath.join(projectRoot, 'logs'), reportName, reporter(allMessages))
-                .then(() => {
-                    logFileProgress('Extended report has been created', mpath.join(projectRoot, 'logs', reportName), 'error');
-                    opener(mpath.join(projectRoot, 'logs', reportName));
-                    resolve(allMessages.length > 0);
-                }, reject);
-        }
-        resolve(allMessages.length > 0);
+        mvExt(orig, dest, (err) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve();
+            }
+        });
     });
 }
 
+function clean(dest) {
+    logFileProgress('Cleaning', dest);
+    return del([dest]);
+}
+
+/**
+ * Gets where the previous build of a directory is kept, next to it: www is kept in .www.previous.
+ * @param dest {string} the directory.
+ * @return {string} the path of the backup.
+ */
+function getBackupPath(dest) {
+    return mpath.join(mpath.dirname(dest), `.${mpath.basename(dest)}.previous`);
+}
+
+/**
+ * Replaces a directory with another one, keeping the replaced one as backup (see getBackupPath).
+ * Directories are renamed instead of cleaned and copied, so dest is never left empty or partially
+ * written, and when moving the new one fails the replaced one is moved back.
+ * @param next {string} the directory that replaces dest, which may be the backup itself.
+ * @param dest {string} the directory to replace.
+ * @return {Promise}
+ */
+function swap(next, dest) {
+    const backup = getBackupPath(dest);
+    const replaced = `${backup}.tmp`;
+
+    return clean(replaced)
+        .then(() => ensureDirExists(mpath.dirname(dest)))
+        .then(() => fs.existsSync(dest) && mv(dest, replaced))
+        .then(() => mv(next, dest)
+            .catch(err => (fs.existsSync(replaced) ? mv(replaced, dest) : Promise.resolve())
+                .then(() => Promise.reject(err))))
+        .then(() => clean(backup))
+        .then(() => fs.existsSync(replaced) && mv(replaced, backup));
+}
+
+/**
+ * Restores the previous build of a directory, which in turn becomes the backup, so rolling back
+ * again restores the last build.
+ * @param dest {string} the directory.
+ * @return {Promise}
+ */
+function rollback(dest) {
+    if (!fs.existsSync(getBackupPath(dest))) {
+        return Promise.reject(new Error(`There is no previous build of ${dest} to roll back to`));
+    }
+    logFileProgress('Rolling back', dest);
+    return swap(getBackupPath(dest), dest);
+}
+
+/**
+ * Gets the lock that prevents several builds or watchers of the project from running at once.
+ * @return {string} the lock file.
+ */
+function getLockPath() {
+    return mpath.join(projectRoot, '.build.lock');
+}
+
+/**
+ * Locks the project for the current process (see lock.js).
+ * @param mode {string} what it is locked for: build or watch.
+ * @return {Object} the owner of the lock, which is another process when it is already locked.
+ */
+function lockBuild(mode) {
+    return lock.acquire(getLockPath(), { mode, command: process.argv.slice(1).join(' ') });
+}
+
+/**
+ * Keeps the lint messages of some files for the extended reports and the summary of the build
+ * (see writeReportSummary). A report gathers the messages of every call for the same path (like
+ * the scripts, vendor scripts and template bundles of an app), and the messages of files linted
+ * again (when watching) replace their previous ones.
+ * @param allMessages {Array} with all error messages: [{ filePath, messages }].
+ * @param reportName {string} the name of the report, like `eslint-report-<path>`.
+ * @param linted {Array} the full paths of the linted files, with or without messages.
+ */
+function addLintReport(allMessages, reportName, linted) {
+    lintReports[reportName] = (lintReports[reportName] || [])
+        .filter(result => linted.indexOf(result.filePath) < 0)
+        .concat(allMessages);
+}
+
+/**
+ * Writes the extended reports of the build in each of the requested formats (see reportFormats).
+ * Html reports are only written when there are messages and they are opened unless --skip-open
+ * flag is set or it runs in CI, other formats are always written, so CI gets them even when all
+ * is right.
+ * @return {Promise}
+ */
+function writeExtendedReports() {
+    const logsPath = mpath.join(projectRoot, 'logs');
+
+    return Promise.all(Object.keys(lintReports).map((baseName) => {
+        const allMessages = lintReports[baseName];
+        return Promise.all(options.reportFormats
+            .filter(format => format !== 'html' || allMessages.length > 0)
+            .map((format) => {
+                const fileName = `${baseName}${reportFormats[format]}`;
+                const report = format === 'html'
+                    ? eslintReporter(allMessages)
+                    : new CLIEngine().getFormatter(format)(allMessages);
+                return writeFile(logsPath, fileName, report)
+                    .then(() => {
+                        logFileProgress('Extended report has been created', mpath.join(logsPath, fileName), allMessages.length ? 'error' : 'info');
+                        if (format === 'html' && options.openReports) {
+                            opener(mpath.join(logsPath, fileName));
+                        }
+                    });
+            }));
+    }));
+}
+
+/**
+ * Writes the extended reports and a summary of all lint messages of the build in
+ * `logs/lint-summary.json`, when extended reports are enabled.
+ * @return {Promise}
+ */
+function writeReportSummary() {
+    const count = (messages, severity) => messages
+        .reduce((total, result) => total + result.messages
+            .filter(message => (message.severity === 2) === (severity === 2)).length, 0);
+    const reports = Object.keys(lintReports).map(name => ({
+        name,
+        tool: name.split('-report-')[0],
+        errorCount: count(lintReports[name], 2),
+        warningCount: count(lintReports[name], 1),
+        results: lintReports[name],
+    }));
+
+    if (!options.extendedReport) {
+        return Promise.resolve();
+    }
+    return writeExtendedReports()
+        .then(() => writeFile(mpath.join(projectRoot, 'logs'), 'lint-summary.json', JSON.stringify({
+            date: new Date().toISOString(),
+            errorCount: reports.reduce((total, report) => total + report.errorCount, 0),
+            warningCount: reports.reduce((total, report) => total + report.warningCount, 0),
+            reports,
+        }, null, 2)));
+}
+
 const pathReplaces = {};
 /**
  * Creates a regexp to replace the path. Keeps it in a cache.
@@ -276,6 +784,98 @@ function getPathReplace(path) {
     return pathReplaces[path];
 }
 
+/**
+ * Gets the path where the source maps of a build have to be written.
+ * @param destPath {string} the path where the bundles are written.
+ * @param localPath {string} [Optional] the path in dest where the app is built.
+ * @return {string} the source maps path.
+ */
+function getSourceMapsPath(destPath, localPath) {
+    return options.externalSourceMaps ? mpath.join(projectRoot, 'maps', localPath || '') : destPath;
+}
+
+/**
+ * Concatenates processed chunks of code into a bundle, combining their source maps when enabled.
+ * Each chunk is an object like:
+ *  {
+ *      code: 'processed code',
+ *      map: 'source map of the processed code, if any',
+ *      source: 'path of the original file, if any',
+ *      sourceContent: 'content of the original file',
+ *      lineOffset: 'number of lines added in front of the mapped code',
+ *      templates: 'templates referenced by the code, if any (see rewriteTemplateUrls)',
+ *  }
+ * Chunks without map are mapped line by line to their source, chunks without source are not.
+ * @param chunks {Array} an array with the chunks to be concatenated.
+ * @param mapPath {string} the path of the source map, sources are relative to it.
+ * @param fileName {string} the name of the bundle.
+ * @return {Object} with the bundle `code` and its `map` (null when source maps are disabled).
+ */
+function concatChunks(chunks, mapPath, fileName) {
+    const generator = options.sourceMaps ? new SourceMapGenerator({ file: fileName }) : null;
+    let line = 0;
+
+    const code = chunks.map((chunk) => {
+        if (generator && chunk.source) {
+            const source = mpath.relative(mapPath, chunk.source);
+            const offset = line + (chunk.lineOffset || 0);
+            if (chunk.map) {
+                new SourceMapConsumer(chunk.map).eachMapping((mapping) => {
+                    if (mapping.source && mapping.originalLine) {
+                        generator.addMapping({
+                            source,
+                            name: mapping.name || undefined,
+                            generated: {
+                                line: mapping.generatedLine + offset,
+                                column: mapping.generatedColumn,
+                            },
+                            original: {
+                                line: mapping.originalLine,
+                                column: mapping.originalColumn,
+                            },
+                        });
+                    }
+                });
+            } else {
+                chunk.sourceContent.split('\n').forEach((l, i) => generator.addMapping({
+                    source,
+                    generated: { line: offset + i + 1, column: 0 },
+                    original: { line: i + 1, column: 0 },
+                }));
+            }
+            generator.setSourceContent(source, chunk.sourceContent);
+        }
+        line += chunk.code.split('\n').length;
+        return chunk.code;
+    }).join('\n');
+
+    return { code, map: generator ? generator.toString() : null };
+}
+
+/**
+ * Writes a bundle and its source map, when there is one.
+ * @param destPath {string} the path where the bundle has to be written.
+ * @param mapPath {string} the path where the source map has to be written.
+ * @param fileName {string} the name of the bundle.
+ * @param bundle {Object} the bundle `code` and `map`, as returned by concatChunks.
+ * @return {Promise}
+ */
+function writeBundle(destPath, mapPath, fileName, bundle) {
+    const promises = [];
+    let code = bundle.code;
+
+    if (bundle.map) {
+        const mapName = `${fileName}.map`;
+        if (!options.externalSourceMaps) {
+            code += /\.css$/i.test(fileName) ? `\n/*# sourceMappingURL=${mapName} */` : `\n//# sourceMappingURL=${mapName}`;
+        }
+        logFileProgress('Writing source map', mpath.join(mapPath, mapName));
+        promises.push(writeFile(mapPath, mapName, bundle.map));
+    }
+    promises.push(writeFile(destPath, fileName, code));
+    return Promise.all(promises);
+}
+
 /**
  * Performs eslint to the supplied code.
  * @param code {string} the code to lint.
@@ -290,8 +890,12 @@ function lintJs(code, path, fileName) {
 
     // TODO: what if there is a file in /path/someotherpath/templates.js ??
     if (!options.skipLint && !skipLintRegex.test(fullName) && !/templates\.js$/gi.test(fileName)) {
-        logFileProgress('Linting', fullName);
-        messages = eslinter.verify(code, config);
+        const cacheKey = [fullName, code, JSON.stringify(config)];
+        messages = cache.get('eslint', cacheKey);
+        if (!messages) {
+            logFileProgress('Linting', fullName);
+            messages = cache.set('eslint', cacheKey, eslinter.verify(code, config));
+        }
         if (messages.length > 0) {
             basicReporter(messages, fullName);
         }
@@ -304,27 +908,80 @@ function lintHtml(code, path, fileName) {
     let messages = [];
 
     if (!options.skipLint && !skipLintRegex.test(fullName)) {
-        logFileProgress('Linting', fullName);
-        messages = htmlHint.verify(code, htmHintOpts);
+        const cacheKey = [fullName, code];
+        messages = cache.get('htmlhint', cacheKey);
+        if (!messages) {
+            logFileProgress('Linting', fullName);
+            messages = cache.set('htmlhint', cacheKey, htmlHint.verify(code, htmHintOpts)
+                .map(message => ({
+                    severity: message.type === 'error' ? 2 : 1,
+                    line: message.line,
+                    column: message.col,
+                    message: `${message.message} Raw: ${message.raw}`,
+                    ruleId: message.rule.id,
+                    ruleUrl: message.rule.link,
+                })));
+        }
+        if (messages.length > 0) {
+            basicReporter(messages, fullName);
+        }
+    }
+    return messages;
+}
+
+/**
+ * Performs csslint to the supplied code.
+ * @param code {string} the code to lint.
+ * @param path {string} the path where the file is. This is used for reporting options.
+ * @param fileName {string} the file name. This is used for reporting options.
+ * @return {Array} the messages.
+ */
+function lintCss(code, path, fileName) {
+    const fullName = mpath.join(path, fileName);
+    let messages = [];
+
+    if (!options.skipLint && !skipLintRegex.test(fullName)) {
+        const cacheKey = [fullName, code, JSON.stringify(cssLintOpts)];
+        messages = cache.get('csslint', cacheKey);
+        if (!messages) {
+            logFileProgress('Linting', fullName);
+            messages = cache.set('csslint', cacheKey, cssLint.verify(code, cssLintOpts).messages
+                .map(message => ({
+                    severity: message.type === 'error' ? 2 : 1,
+                    line: message.line || 0,
+                    column: message.col || 0,
+                    message: `${message.message}${message.evidence ? ` Raw: ${message.evidence}` : ''}`,
+                    ruleId: message.rule.id,
+                })));
+        }
         if (messages.length > 0) {
-            messages = messages.map(message => ({
-                severity: message.type === 'error' ? 2 : 1,
-                line: message.line,
-                column: message.col,
-                message: `${message.message} Raw: ${message.raw}`,
-                ruleId: message.rule.id,
-                ruleUrl: message.rule.link,
-            }));
             basicReporter(messages, fullName);
         }
     }
     return messages;
 }
 
+const bundleBlockRegex = /<!--start(src|css)(?::([\w.-]+))?-->([^]*?)<!--end\1(?::\2)?-->/gi;
+
+/**
+ * Collects scripts src's and links href's from an html loaded with cheerio.
+ * @param $ {Object} the html loaded with cheerio.
+ * @param scripts {Array} where to push the scripts src's.
+ * @param links {Array} where to push the links href's.
+ */
+function collectResources($, scripts, links) {
+    $('script').each((index, element) => scripts.push($(element).attr('src')));
+    $('link').each((index, element) => (/(\.css$|\.css\?)/i.test($(element).attr('href')) ? links.push($(element).attr('href')) : true));
+}
+
 /**
  * Get all scripts src's and all links href's from an html file.
+ * Scripts between `<!--startsrc:name-->` and `<!--endsrc:name-->` (and links between
+ * `<!--startcss:name-->` and `<!--endcss:name-->`) are grouped in bundles by name,
+ * scripts and links in blocks without name (`<!--startsrc-->`) belong to the `all` bundle.
  * @param indexData {string} the html data string
- * @return {Promise} with an object with an array of scripts src's and links href's
+ * @return {Promise} with an object with the bundles ({ type: 'js' or 'css', name, files }),
+ * an array of scripts src's and links href's outside bundle blocks and the html data.
  */
 function getResources(indexData) {
     return new Promise((resolve, reject) => {
@@ -332,10 +989,26 @@ function getResources(indexData) {
             const $ = cheerio.load(indexData);
             const scripts = [];
             const links = [];
+            const bundles = [];
             $('[ng-app]').each((index, element) => $(element).attr('ng-strict-di', true));
-            $('script').each((index, element) => scripts.push($(element).attr('src')));
-            $('link').each((index, element) => (/(\.css$|\.css\?)/i.test($(element).attr('href')) ? links.push($(element).attr('href')) : true));
-            resolve({ scripts, links, indexData: $.html() });
+            const html = $.html();
+            html.replace(bundleBlockRegex, (block, type, name, content) => {
+                const bundleType = type.toLowerCase() === 'src' ? 'js' : 'css';
+                const bundleName = name || 'all';
+                let bundle = bundles.filter(b => b.type === bundleType && b.name === bundleName)[0];
+                const blockScripts = [];
+                const blockLinks = [];
+                if (!bundle) {
+                    bundle = { type: bundleType, name: bundleName, files: [] };
+                    bundles.push(bundle);
+                }
+                collectResources(cheerio.load(content), blockScripts, blockLinks);
+                bundle.files = bundle.files.concat(bundleType === 'js' ? blockScripts : blockLinks)
+                    .filter(file => file);
+                return block;
+            });
+            collectResources(cheerio.load(html.replace(bundleBlockRegex, '')), scripts, links);
+            resolve({ scripts, links, bundles, indexData: html });
         } catch (err) {
             reject(err);
         }
@@ -397,124 +1070,373 @@ function copyFiles(files, path, dest, opts) {
 }
 
 /**
- * Process each template to see if there is an script or css in there.
- * This is not fully reliable as it does not annotate/lint/minify scripts.
- * It just copies the script from path to dest.
+ * Removes files in dest which were copied from path.
+ * @param files {Array} an array with the file names in path.
+ * @param path {string} the base path.
+ * @param dest {string} the destination path.
+ * @return {Promise}
+ */
+function removeFiles(files, path, dest) {
+    const pathReplace = getPathReplace(path);
+    return Promise.all(files.map((file) => {
+        const to = mpath.join(dest, file.replace(pathReplace, ''));
+        logFileProgress('Removing', to);
+        return clean(to);
+    }));
+}
+
+/**
+ * Mirrors a file system event (see chokidar) of a file in path to dest.
+ * @param event {string} the event: add, addDir, change, unlink or unlinkDir.
+ * @param file {string} the file or directory where the event happened.
+ * @param path {string} the base path.
+ * @param dest {string} the destination path.
+ * @param opts {Object} options to include/exclude files (see copyFiles).
+ * @return {Promise}
+ */
+function syncFile(event, file, path, dest, opts) {
+    if (event === 'unlink' || event === 'unlinkDir') {
+        return removeFiles([file], path, dest);
+    }
+    if (event === 'addDir') {
+        return ensureDirExists(mpath.join(dest, file.replace(getPathReplace(path), '')));
+    }
+    return copyFiles([file], path, dest, opts);
+}
+
+/**
+ * Checks whether a script or link is a local file.
+ * @param file {string} the src or href.
+ * @return {boolean}
+ */
+function isLocalFile(file) {
+    return !/^([a-z]+:)?\/\//i.test(file) && !/^data:/i.test(file);
+}
+
+const scriptTagRegex = /<script\b[^>]*?\bsrc=["']?([^"'\s>]+)["']?[^>]*>\s*<\/script>/;
+const linkTagRegex = /<link\b[^>]*?\bhref=["']?([^"'\s>]+)["']?[^>]*>/;
+const templateTagRegex = new RegExp(`${scriptTagRegex.source}|${linkTagRegex.source}`, 'gi');
+
+/**
+ * Gets the bundle name of the scripts or links of a template, which is written in the app root
+ * like the other bundles: `templates/home.html` -> `templates.home.min.js` (or `.min.css`).
+ * @param url {string} the template url.
+ * @param type {string} js or css.
+ * @return {string}
+ */
+function getTemplateBundleName(url, type) {
+    return `${url.replace(/\.html$/i, '').replace(/\//g, '.')}.min.${type}`;
+}
+
+/**
+ * Extracts the local scripts and stylesheets of a template, so they are processed like the
+ * ones of index.html. Their tags are removed from the template when they are merged into the
+ * app bundles, or replaced by a reference to the bundles of the template
+ * (see `templateResources` configuration).
  * @param content {string} the content of html template.
- * @param path {string} the path to the template.
- * @param dest {string} the output directory for whole build.
+ * @param url {string} the template url, relative to the app.
+ * @return {Object} with the new template `content` and its `scripts` and `links`.
+ */
+function extractTemplateResources(content, url) {
+    const scripts = [];
+    const links = [];
+    const code = content.replace(templateTagRegex, (tag, src, href) => {
+        const file = src || href;
+        if (!isLocalFile(file) || (href && !/(\.css$|\.css\?)/i.test(href))) {
+            return tag;
+        }
+        const files = src ? scripts : links;
+        files.push(file);
+        if (templateResourcesMode !== 'bundle' || files.length > 1) {
+            return '';
+        }
+        return src
+            ? `<script src="${getTemplateBundleName(url, 'js')}"></script>`
+            : `<link href="${getTemplateBundleName(url, 'css')}" rel="stylesheet">`;
+    });
+    return { content: code, scripts, links };
+}
+
+const includeAttrRegex = /(?:\bng-include|<ng-include\b[^>]*?\bsrc)\s*=\s*/;
+const includeRegex = new RegExp(`${includeAttrRegex.source}(["'])\\s*(['"])([^'"]+)\\2\\s*\\1`, 'gi');
+
+/**
+ * Gets the static template paths included in some html with `ng-include="'path'"` or
+ * `<ng-include src="'path'">`.
+ * @param html {string} the html.
+ * @return {Array} the template paths.
+ */
+function getIncludedTemplates(html) {
+    const urls = [];
+    html.replace(includeRegex, (match, quote, innerQuote, url) => urls.push(url));
+    return urls;
+}
+
+/**
+ * Checks whether a file is, or is inside, any of the excluded paths.
+ * @param file {string} the full path of the file.
+ * @param excluded {Array} full paths of excluded files and directories.
+ * @return {boolean}
  */
-function processTemplateResources(content, path, dest) {
-    return getResources(content)
-        .then(r => Promise.all([copyFiles(r.scripts, path, dest), copyFiles(r.links, path, dest)]));
+function isExcluded(file, excluded) {
+    return (excluded || []).some(exclude => file === exclude || file.indexOf(`${exclude}/`) === 0);
 }
 
 /**
- * Prepare the template files for an Angular app and saves all resources found
+ * Prepare the template files for an Angular app and extracts all resources found
  * in each template (scripts and links).
  * @param path {string} the path of the angular app
- * @param dest {string} the dest for scripts and links found in templates
- * @return {Promise} with the templates script data
+ * @param moduleName {string} [Optional] the angular module of the templates (`templates`).
+ * @param excluded {Array} [Optional] full paths of html files and directories to skip.
+ * @return {Promise} with the templates script `code`, the `resources` of each template
+ * ({ url, scripts, links }) and the `templates` put into $templateCache ({ url, includes }).
  */
-function prepareTemplates(path, dest) {
+function prepareTemplates(path, moduleName, excluded) {
     const allMessages = [];
-    let isNoErrors = true;
+    const linted = [];
+    const resources = [];
+    const templates = [];
 
     return templateCache({
         angularRoot: path,
         fileName: 'templates.js',
-        moduleName: 'templates',
+        moduleName: moduleName || 'templates',
         standalone: false,
         isCreateOutput: false,
         isNgAnnotate: true,
         progress: (p) => {
+            if (isExcluded(p, excluded)) {
+                return false;
+            }
             logFileProgress('Processing template', p);
             return true;
         },
-        contentModifier: (content, filePath) => {
-            const messages = lintHtml(content, path, filePath.replace(path, ''));
-            if (messages.length > 0) {
-                allMessages.push({
-                    filePath,
-                    messages,
-                });
-                if (!options.noFailLint) {
-                    isNoErrors = false;
-                    return Promise.reject('Linting failed');
+        contentModifier: (content, filePath) => runTransforms('html', 'before', content, filePath)
+            .then((transformed) => {
+                const messages = lintHtml(transformed, path, filePath.replace(path, ''));
+                linted.push(filePath);
+                if (messages.length > 0) {
+                    allMessages.push({
+                        filePath,
+                        messages,
+                    });
+                    if (!options.noFailLint) {
+                        addLintErrors(filePath, messages);
+                    }
                 }
-            }
-            return processTemplateResources(content, path, dest)
-                .then(() => {
-                    logFileProgress('Processing content of template', filePath);
-                    return preprocess(content, preprocessOptions);
-                });
-        },
+                logFileProgress('Processing content of template', filePath);
+                const url = mpath.relative(path, filePath);
+                const preprocessed = runStage('preprocess',
+                    () => preprocessContent(transformed, filePath, 'html'));
+                const extracted = extractTemplateResources(preprocessed, url);
+                templates.push({ url, includes: getIncludedTemplates(extracted.content) });
+                if (extracted.scripts.length || extracted.links.length) {
+                    resources.push({ url, scripts: extracted.scripts, links: extracted.links });
+                }
+                return runTransforms('html', 'after', extracted.content, filePath);
+            })
+            .catch((err) => {
+                logFileProgress(err, filePath, 'error');
+                addBuildError(filePath, err);
+                return content;
+            }),
     })
         .then((_templatesjs) => {
-            const reportName = `htmllint-report-${path.replace(projectRoot, '').replace(/\//g, '-')}.html`;
-            return prepareExtendedReport(allMessages, reportName, eslintReporter)
-                .then(() => (isNoErrors ? _templatesjs : Promise.reject('HTML hint errors')));
+            addLintReport(allMessages, `htmllint-report-${path.replace(projectRoot, '').replace(/\//g, '-')}`, linted);
+            return { code: _templatesjs, resources, templates };
         });
 }
 
 /**
- * Performs the following tasks for each script provided in the script paths array:
- * preprocess, ngAnnotate, jshint, uglify.
- * @param scripts {Array} an array with relative paths of scripts.
+ * Gets the value of a string literal or a template literal without expressions.
+ * @param node {Object} the AST node.
+ * @return {string} the value or undefined when it is not a static string.
+ */
+function getStaticString(node) {
+    if (node.type === 'Literal' && typeof node.value === 'string') {
+        return node.value;
+    }
+    if (node.type === 'TemplateLiteral' && !node.expressions.length) {
+        return node.quasis[0].value.cooked;
+    }
+    return undefined;
+}
+
+/**
+ * Rewrites `templateUrl: value` properties into
+ * `templateProvider:function($templateCache){return $templateCache.get(value)}`, except in
+ * `.component()` definitions, which need a templateUrl. It works on the parsed script, so comments,
+ * strings, multi-line values and template literals are handled properly, and lines are kept.
+ * Static template paths referenced by `templateUrl`, `$templateRequest()` and
+ * `$templateCache.get()` are collected, so they can be validated.
+ * @param code {string} the code of the script.
+ * @param fullPath {string} the full path of the script.
+ * @return {Object} with the rewritten `code` and the referenced `templates` ({ url, line }).
+ */
+function rewriteTemplateUrls(code, fullPath) {
+    const templates = [];
+    const replacements = [];
+    const addTemplate = (node) => {
+        const url = getStaticString(node);
+        if (url !== undefined) {
+            templates.push({ url, line: node.loc.start.line });
+        }
+    };
+    const isComponentDefinition = (ancestors) => {
+        const call = ancestors[ancestors.length - 3];
+        return call && call.type === 'CallExpression' && call.callee.type === 'MemberExpression'
+            && !call.callee.computed && call.callee.property.name === 'component'
+            && call.arguments[1] === ancestors[ancestors.length - 2];
+    };
+    let ast;
+
+    try {
+        ast = acorn.parse(code, {
+            ecmaVersion: 8,
+            allowHashBang: true,
+            allowReturnOutsideFunction: true,
+            locations: true,
+        });
+    } catch (err) {
+        throw Object.assign(new Error(`Could not parse ${fullPath}: ${err.message}`),
+            { stage: 'parse', loc: err.loc });
+    }
+    acornWalk.ancestor(ast, {
+        Property: (node, ancestors) => {
+            const key = node.key.type === 'Identifier' ? node.key.name : node.key.value;
+            if (node.computed || node.kind !== 'init' || key !== 'templateUrl') {
+                return;
+            }
+            addTemplate(node.value);
+            if (!isComponentDefinition(ancestors) && node.value.type !== 'FunctionExpression'
+                && node.value.type !== 'ArrowFunctionExpression') {
+                const lineBreaks = code.slice(node.start, node.value.start).replace(/[^\n]/g, '');
+                replacements.push({
+                    start: node.start,
+                    end: node.value.start,
+                    code: `templateProvider:function($templateCache){return $templateCache.get(${lineBreaks}`,
+                });
+                replacements.push({ start: node.value.end, end: node.value.end, code: ')}' });
+            }
+        },
+        CallExpression: (node) => {
+            const callee = node.callee;
+            const isTemplateRequest = callee.type === 'Identifier' && callee.name === '$templateRequest';
+            const isCacheGet = callee.type === 'MemberExpression' && !callee.computed
+                && callee.object.type === 'Identifier' && callee.object.name === '$templateCache'
+                && callee.property.name === 'get';
+            if ((isTemplateRequest || isCacheGet) && node.arguments.length) {
+                addTemplate(node.arguments[0]);
+            }
+        },
+    });
+
+    return {
+        code: replacements
+            .sort((a, b) => b.start - a.start)
+            .reduce((rewritten, r) => `${rewritten.slice(0, r.start)}${r.code}${rewritten.slice(r.end)}`, code),
+        templates,
+    };
+}
+
+/**
+ * Rewrites templateUrl's (see rewriteTemplateUrls), annotates and minifies a script.
+ * Vendor scripts are only minified.
+ * @param code {string} the code of the script.
+ * @param fullPath {string} the full path of the script.
+ * @param script {string} the relative path of the script.
+ * @param isSkipMinify {boolean} whether to skip minification or not.
+ * @param isVendor {boolean} whether the script is a vendor one or not.
+ * @return {Object} with the transformed `code`, its `map` and the referenced `templates`.
+ */
+function transformScript(code, fullPath, script, isSkipMinify, isVendor) {
+    let transformed = { code, map: null, templates: [] };
+    let res;
+
+    if (!isVendor) {
+        const rewritten = runStage('templateUrl', () => rewriteTemplateUrls(code, fullPath));
+        logFileProgress('Annotating', fullPath);
+        res = ngAnnotate(rewritten.code, {
+            add: true,
+            map: options.sourceMaps ? { inline: false, inFile: fullPath } : false,
+        });
+        if (res.errors && res.errors.length) {
+            throw stageError('annotate', res.errors.join(','));
+        }
+        transformed = { code: res.src, map: res.map, templates: rewritten.templates };
+    }
+
+    if (options.skipComp || isSkipMinify || /\.min\.js$/gi.test(script)) {
+        return transformed;
+    }
+    logFileProgress('Minifying', script);
+    const mapOpts = options.sourceMaps ? { outSourceMap: `${script}.map`, sourceMapUrl: false } : {};
+    if (transformed.map) {
+        mapOpts.inSourceMap = JSON.parse(transformed.map);
+    }
+    res = runStage('minify', () => uglify.minify(transformed.code, Object.assign({}, uglifyOpts, mapOpts)));
+    return { code: res.code, map: res.map || null, templates: transformed.templates };
+}
+
+/**
+ * Performs the following tasks for each script provided in the script paths array:
+ * preprocess, eslint, ngAnnotate, uglify. Vendor scripts are neither linted nor annotated.
+ * Results of unchanged scripts are taken from the build cache.
+ * @param scripts {Array} an array with relative paths of scripts.
  * @param path {string} the path to the scripts relative path.
+ * @param isVendor {boolean} [Optional] whether the scripts are vendor ones.
+ * @return {Promise} with an array of processed chunks (see concatChunks).
  */
-function processScripts(scripts, path) {
+function processScripts(scripts, path, isVendor) {
     const allMessages = [];
     const promises = [];
     let isNoErrors = true;
 
     scripts.forEach((script) => {
         if (script) {
-            const promise = readFile(mpath.join(path, script), options.preprocessResources)
-                .then(code => ({
-                    messages: lintJs(code, path, script),
-                    code,
-                }))
-                .then(d => ({
-                    messages: d.messages,
-                    code: d.code.replace(/(templateUrl)[\s]*:[\s]*([^\n,]+)/g, 'templateProvider:function($templateCache){return $templateCache.get($2)}'),
-                }))
-                .then((d) => {
-                    const code = d.code;
-                    logFileProgress('Annotating', mpath.join(path, script));
-                    const res = ngAnnotate(code, { add: true });
-                    if (res.errors && res.errors.length) {
-                        throw new Error(res.errors.join(','));
-                    }
-                    return {
-                        messages: d.messages,
-                        code: res.src,
-                    };
-                })
-                .then((d) => {
-                    const messages = d.messages;
-                    let code = d.code;
+            const fullPath = mpath.join(path, script);
+            let sourceContent;
+            const promise = readFile(fullPath, options.preprocessResources)
+                .then(code => runTransforms('js', 'before', code, fullPath, isVendor))
+                .then((code) => {
+                    const messages = isVendor ? [] : lintJs(code, path, script);
+                    sourceContent = code;
                     if (messages.length > 0) {
                         allMessages.push({
-                            filePath: mpath.join(path, script),
+                            filePath: fullPath,
                             messages,
                         });
                         if (!options.noFailLint) {
                             isNoErrors = false;
-                            throw new Error('Linting failed');
+                            throw addLintErrors(fullPath, messages);
                         }
                     }
-                    if (!options.skipComp && isNoErrors) {
-                        if (!/\.min\.js$/gi.test(script)) {
-                            logFileProgress('Minifying', script);
-                            const res = uglify.minify(code, uglifyOpts);
-                            code = res.code;
-                        }
+                    if (!isNoErrors) {
+                        // Build will fail, so it is not worth to minify neither to cache it
+                        return transformScript(code, fullPath, script, true, isVendor);
+                    }
+                    const cacheKind = isVendor ? 'vendor-script' : 'script';
+                    const cacheKey = [fullPath, code];
+                    const cached = cache.get(cacheKind, cacheKey);
+                    if (cached) {
+                        return cached;
                     }
-                    return `~(function(){\n${code}\n})()`;
+                    const transformed = transformScript(code, fullPath, script, false, isVendor);
+                    return runTransforms('js', 'after', transformed.code, fullPath, isVendor)
+                        .then(after => cache.set(cacheKind, cacheKey,
+                            Object.assign(transformed, { code: after })));
                 })
+                .then(d => ({
+                    code: `~(function(){\n${d.code}\n})()`,
+                    map: d.map,
+                    source: fullPath,
+                    sourceContent,
+                    lineOffset: 1,
+                    templates: d.templates,
+                }))
                 .catch((err) => {
-                    logFileProgress(err, mpath.join(path, script), 'error');
+                    logFileProgress(err, fullPath, 'error');
+                    addBuildError(fullPath, err);
                 });
 
             promises.push(promise);
@@ -522,168 +1444,1323 @@ function processScripts(scripts, path) {
     });
 
     return Promise.all(promises)
-        .then((jsData) => {
-            const reportName = `eslint-report-${path.replace(projectRoot, '').replace(/\//g, '-')}.html`;
-            return prepareExtendedReport(allMessages, reportName, eslintReporter)
-                .then(() => (isNoErrors ? jsData.join('\n') : Promise.reject('JS lint errors')));
+        .then((jsChunks) => {
+            addLintReport(allMessages, `eslint-report-${path.replace(projectRoot, '').replace(/\//g, '-')}`,
+                scripts.filter(script => script).map(script => mpath.join(path, script)));
+            return jsChunks.filter(chunk => chunk);
         });
 }
 
+/**
+ * Gets a stamp of a file that changes whenever the file changes.
+ * @param fullPath {string} the full path of the file.
+ * @return {string} the stamp or null when the file does not exist.
+ */
+function getFileStamp(fullPath) {
+    try {
+        const stats = fs.statSync(fullPath);
+        return `${stats.size}-${stats.mtime.getTime()}`;
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Resolves every relative `url()` of a stylesheet against the stylesheet location and rebases it
+ * to the app root, where all.min.css is written. Referenced images and fonts which are not bigger
+ * than the inline limit option are inlined as data URIs.
+ * @param code {string} the code of the stylesheet.
+ * @param path {string} the path of the angular app.
+ * @param link {string} the relative path of the stylesheet.
+ * @return {Object} with the rebased `code` and its `dependencies`: the referenced files,
+ * relative to path, with their stamp (null for missing ones).
+ */
+function rebaseUrls(code, path, link) {
+    const dependencies = {};
+    const linkDir = mpath.dirname(link.split(/[?#]/)[0]);
+    const rebased = code.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/gi, (match, quote, url) => {
+        if (/^([a-z][a-z0-9+.-]*:|\/|#)/i.test(url.trim())) {
+            return match;
+        }
+        const parts = /^([^?#]*)(.*)$/.exec(url.trim());
+        const file = mpath.join(linkDir, parts[1]).replace(/\\/g, '/');
+        const fullPath = mpath.join(path, file);
+        const mimeType = inlineMimeTypes[mpath.extname(file).toLowerCase()];
+        const stamp = getFileStamp(fullPath);
+
+        dependencies[file] = stamp;
+        if (stamp && mimeType && fs.statSync(fullPath).size <= options.inlineLimit) {
+            logFileProgress('Inlining', `${file} in ${link}`);
+            return `url(data:${mimeType};base64,${fs.readFileSync(fullPath).toString('base64')})`;
+        }
+        return `url(${quote}${file}${parts[2]}${quote})`;
+    });
+    return { code: rebased, dependencies };
+}
+
+/**
+ * Checks whether the files a stylesheet depends on are unchanged.
+ * @param path {string} the path of the angular app.
+ * @param dependencies {Object} the referenced files with their stamp (see rebaseUrls).
+ * @return {boolean}
+ */
+function isUpToDate(path, dependencies) {
+    return Object.keys(dependencies || {})
+        .every(file => getFileStamp(mpath.join(path, file)) === dependencies[file]);
+}
 
 /**
- * Performs the following tasks for each link provided in the link paths array: cssnano.
+ * Rewrites and rebases resource urls and minifies a stylesheet.
+ * @param code {string} the code of the stylesheet.
+ * @param path {string} the path of the angular app.
+ * @param link {string} the relative path of the stylesheet.
+ * @return {Promise} with the transformed `code`, its `map` and its `dependencies` (see rebaseUrls).
+ */
+function transformLink(code, path, link) {
+    const rewritten = cssRewrites.reduce((css, rule) => css.replace(rule.from, rule.to), code);
+    const rebased = rebaseUrls(rewritten, path, link);
+    return Promise.resolve(rebased.code)
+        .then((css) => {
+            if (!options.skipComp) {
+                if (!/(\.min\.css$|\.min\.css\?)/gi.test(link)) {
+                    logFileProgress('Minifying', link);
+                    const mapOpts = {
+                        from: mpath.join(path, link),
+                        map: { inline: false, annotation: false, prev: false },
+                    };
+                    return cssnano.process(css, options.sourceMaps ? mapOpts : {})
+                        .then(res => ({
+                            code: res.css,
+                            map: res.map ? res.map.toString() : null,
+                        }), err => Promise.reject(stageError('minify', err)));
+                }
+            }
+            return { code: css, map: null };
+        })
+        .then(d => runTransforms('css', 'after', d.code, mpath.join(path, link))
+            .then(after => ({
+                code: after,
+                map: d.map,
+                dependencies: rebased.dependencies,
+            })));
+}
+
+/**
+ * Performs the following tasks for each link provided in the link paths array:
+ * csslint, url rebasing, cssnano. Missing resources are reported.
+ * Results of unchanged links are taken from the build cache.
  * @param links {Array} an array with relative paths of links.
  * @param path {string} the path to the links relative path.
+ * @return {Promise} with an array of processed chunks (see concatChunks).
  */
 function processLinks(links, path) {
+    const allMessages = [];
     const promises = [];
+
     links.forEach((link) => {
-        const promise = readFile(mpath.join(path, link), options.preprocessResources)
-            .then(code => code.replace(/\.\.\/fonts\/ionicons/g, `${bowerInner}/ionic/fonts/ionicons`))
-            .then(code => code.replace(/\.\.\/fonts\/fontawesome/g, `${bowerInner}/components-font-awesome/fonts/fontawesome`))
-            .then(code => code.replace(/\.\.\/img\//g, 'img/'))
-            .then(code => code.replace(/\.\.\/fonts\//g, 'fonts/'))
+        const fullPath = mpath.join(path, link);
+        let sourceContent;
+        const promise = readFile(fullPath, options.preprocessResources)
+            .then(code => runTransforms('css', 'before', code, fullPath))
             .then((code) => {
-                if (!options.skipComp) {
-                    if (!/(\.min\.css$|\.min\.css\?)/gi.test(link)) {
-                        logFileProgress('Minifying', link);
-                        return cssnano.process(code);
+                const messages = lintCss(code, path, link);
+                if (messages.length > 0) {
+                    allMessages.push({
+                        filePath: fullPath,
+                        messages,
+                    });
+                    if (!options.noFailLint) {
+                        throw addLintErrors(fullPath, messages);
                     }
                 }
-                return code;
+                const cacheKey = [fullPath, code];
+                const cached = cache.get('link', cacheKey);
+                sourceContent = code;
+                if (cached && isUpToDate(path, cached.dependencies)) {
+                    return cached;
+                }
+                return transformLink(code, path, link)
+                    .then(d => cache.set('link', cacheKey, d));
             })
-            .catch(err => logFileProgress(err.code, mpath.join(path, link), 'error'));
+            .then((d) => {
+                Object.keys(d.dependencies)
+                    .filter(file => d.dependencies[file] === null)
+                    .forEach(file => logger.warn(`Missing resource ${clcFile(file)} referenced in ${clcFile(fullPath)}`));
+                return {
+                    code: d.code,
+                    map: d.map,
+                    source: fullPath,
+                    sourceContent,
+                };
+            })
+            .catch((err) => {
+                logFileProgress(err.code || err, fullPath, 'error');
+                addBuildError(fullPath, err);
+            });
         promises.push(promise);
     });
     return Promise.all(promises)
-        .then(cssData => cssData.join('\n'));
+        .then((cssChunks) => {
+            addLintReport(allMessages, `csslint-report-${path.replace(projectRoot, '').replace(/\//g, '-')}`,
+                links.map(link => mpath.join(path, link)));
+            return cssChunks.filter(chunk => chunk);
+        });
+}
+
+/**
+ * Loads the rules of `.buildignore` and `.buildignore.<mode>` in the project root (see ignore.js),
+ * which keep files of path out of www, and the local scripts and links referenced by the html
+ * entries, which are always kept.
+ * @param path {string} the path where all apps are.
+ */
+function loadBuildIgnore(path) {
+    const files = ['.buildignore', `.buildignore.${options.mode}`];
+
+    ignoreRules = ignore.load(files.map(file => mpath.join(projectRoot, file)));
+    ignoreBase = path;
+    ignoreKept = [];
+    apps.forEach((app) => {
+        let content;
+        try {
+            content = fs.readFileSync(mpath.join(path, app.entry), 'utf8');
+        } catch (err) {
+            return;
+        }
+        content.replace(templateTagRegex, (tag, src, href) => {
+            const file = (src || href).split(/[?#]/)[0];
+            if (isLocalFile(file)) {
+                ignoreKept.push(mpath.join(path, app.localPath, file));
+            }
+            return tag;
+        });
+    });
+}
+
+/**
+ * Whether a file or directory is kept out of www by the build ignore rules (see loadBuildIgnore).
+ * Directories of the files referenced by the html entries are never ignored.
+ * @param file {string} the full path of the file.
+ * @param isDir {boolean} [Optional] whether it is a directory.
+ * @return {boolean}
+ */
+function isBuildIgnored(file, isDir) {
+    const isKept = kept => kept === file || kept.indexOf(`${file}${mpath.sep}`) === 0;
+
+    if (!ignoreRules.length || ignoreKept.some(isKept)) {
+        return false;
+    }
+    const relative = mpath.relative(ignoreBase, file);
+    return relative.indexOf('..') !== 0 && ignore.isIgnored(ignoreRules, relative, isDir);
+}
+
+/**
+ * Gets how a resource is optimised, unless resources are not compressed (see skipResCompression):
+ * JSON and SVG files are minified, and source maps of vendor files are removed in production,
+ * as their scripts are bundled.
+ * @param file {string} the full path of the resource.
+ * @return {string} the optimisation: json, svg, map (removed) or undefined when it is copied as is.
+ */
+function getResourceOptimisation(file) {
+    if (options.skipResCompression) {
+        return undefined;
+    }
+    if (/\.json$/i.test(file)) {
+        return 'json';
+    }
+    if (/\.svg$/i.test(file)) {
+        return 'svg';
+    }
+    return /\.map$/i.test(file) && options.production && vendorRegex.test(file) ? 'map' : undefined;
+}
+
+/**
+ * Optimises a resource from path into dest (see getResourceOptimisation), counting the bytes it
+ * saves. Resources that can not be optimised (invalid JSON or SVG) are warned and copied as is.
+ * Resources shared by apps in the same directory are only optimised once per build.
+ * @param file {string} the full path of the resource.
+ * @param path {string} the path where the resource is.
+ * @param dest {string} the path where the resource must be written.
+ * @return {Promise}
+ */
+function optimiseResource(file, path, dest) {
+    const type = getResourceOptimisation(file);
+    const to = mpath.join(dest, mpath.relative(path, file));
+
+    if (optimisedResources[to]) {
+        return optimisedResources[to];
+    }
+    optimisedResources[to] = new Promise((resolve, reject) => {
+        fs.readFile(file, 'utf8', (err, data) => (err ? reject(err) : resolve(data)));
+    })
+        .then((content) => {
+            const size = Buffer.byteLength(content);
+            if (type === 'map') {
+                logFileProgress('Removing vendor source map', file);
+                assets.count(resourceSavings, type, size, 0);
+                return null;
+            }
+            const cacheKey = [file, content];
+            const cached = cache.get('resource', cacheKey);
+            logFileProgress('Optimising resource', `from ${file} to ${to}`);
+            return (cached !== undefined ? Promise.resolve(cached)
+                : assets.minify(type, content).then(code => cache.set('resource', cacheKey, code)))
+                .then((code) => {
+                    const isSmaller = Buffer.byteLength(code) < size;
+                    const optimised = isSmaller ? code : content;
+                    assets.count(resourceSavings, type, size, Buffer.byteLength(optimised));
+                    return writeFile(mpath.dirname(to), mpath.basename(to), optimised);
+                });
+        })
+        .catch((err) => {
+            logger.warn(`Resource ${clcFile(file)} could not be optimised, it is copied as is:`
+                + ` ${err.message}`);
+            return copyFiles([file], path, dest);
+        });
+    return optimisedResources[to];
 }
 
 /**
  * Process all non .js and non .css resources copying them from path/to/resource to dest/to/resource
+ * (optimised, see getResourceOptimisation)
  * @param path {string} the path where the resources to be processed are.
  * @param dest {string} the path where the resources must be copied.
+ * @param excluded {Array} [Optional] full paths of files and directories that must not be copied.
  */
-function processResources(path, dest) {
+function processResources(path, dest, excluded) {
     return new Promise((resolve, reject) => {
         glob(`${path}/**/*`, { nodir: true }, (err, files) => {
-            copyFiles(files, path, dest, { exclude: [/\.js$/i, /\.css$/i, /\.html$/i] })
+            const resources = files.filter(file => !isExcluded(file, excluded))
+                .filter(file => !isBuildIgnored(file));
+            const optimised = resources
+                .filter(file => getResourceOptimisation(file))
+                .filter(file => !resourcesExclude.some(exclude => exclude.test(file)));
+            Promise.all([
+                copyFiles(resources.filter(file => optimised.indexOf(file) < 0), path, dest,
+                    { exclude: resourcesExclude }),
+                Promise.all(optimised.map(file => optimiseResource(file, path, dest))),
+            ])
                 .then(resolve, reject);
         });
     });
 }
 
 /**
- * Completly process angular app:
- * Embed all html templates in $templateCache, preprocess index.html,
- * minimize and concat all scripts and links and write all stuff in dest
- * @param path {string} the path where angular app is.
+ * Gets a short hash of some content, used to fingerprint file names.
+ * @param data {string|Buffer} the content to hash.
+ * @return {string} the hash.
+ */
+function getContentHash(data) {
+    return crypto.createHash('md5').update(data).digest('hex').substr(0, 8);
+}
+
+/**
+ * Inserts a hash in a file name, just before its extension:
+ * `img/logo.png` -> `img/logo.3f9a1c2e.png`, `all.min.js` -> `all.3f9a1c2e.min.js`
+ * @param fileName {string} the file name.
+ * @param hash {string} the hash to insert.
+ * @return {string} the fingerprinted file name.
+ */
+function getFingerprintedName(fileName, hash) {
+    const ext = /(\.min)?\.[^./]+$/i.exec(fileName);
+    return ext ? `${fileName.substr(0, ext.index)}.${hash}${ext[0]}` : `${fileName}.${hash}`;
+}
+
+/**
+ * Replaces every reference to the files in a manifest found in some content: html attributes,
+ * css `url()`s and strings in scripts (templates included).
+ * @param content {string} the content where references have to be replaced.
+ * @param manifest {Object} a map of original paths to fingerprinted ones.
+ * @return {string} the content with fingerprinted references.
+ */
+function replaceReferences(content, manifest) {
+    return Object.keys(manifest)
+        .sort((a, b) => b.length - a.length)
+        .reduce((data, original) => {
+            const escaped = original.replace(/[-[\]{}()*+?.,\\^$|#]/g, '\\$&');
+            const regex = new RegExp(`(^|[\\s"'(=,\\\\])${escaped}(?=$|[\\s"')?#,>\\\\])`, 'g');
+            return data.replace(regex, `$1${manifest[original]}`);
+        }, content);
+}
+
+/**
+ * Renames a file in path so that its name contains the hash of its content.
+ * @param path {string} the base path.
+ * @param file {string} the file path relative to path.
+ * @return {Promise} with the fingerprinted file path relative to path.
+ */
+function fingerprintFile(path, file) {
+    return new Promise((resolve, reject) => {
+        fs.readFile(mpath.join(path, file), (err, data) => (err ? reject(err) : resolve(data)));
+    })
+        .then((data) => {
+            const fingerprinted = getFingerprintedName(file, getContentHash(data));
+            logFileProgress('Fingerprinting', `${file} as ${fingerprinted}`);
+            return mv(mpath.join(path, file), mpath.join(path, fingerprinted))
+                .then(() => fingerprinted);
+        });
+}
+
+/**
+ * Renames the source map of a bundle after the bundle has been fingerprinted.
+ * @param mapPath {string} the path where the source map is.
+ * @param bundle {string} the original bundle name.
+ * @param fingerprinted {string} the fingerprinted bundle name.
+ * @return {Promise}
+ */
+function fingerprintSourceMap(mapPath, bundle, fingerprinted) {
+    const mapFile = mpath.join(mapPath, `${bundle}.map`);
+    if (!fs.existsSync(mapFile)) {
+        return Promise.resolve();
+    }
+    return readFile(mapFile)
+        .then((data) => {
+            const map = JSON.parse(data);
+            map.file = mpath.basename(fingerprinted);
+            return writeFile(mapPath, `${fingerprinted}.map`, JSON.stringify(map));
+        })
+        .then(() => clean(mapFile));
+}
+
+/**
+ * Makes the paths of a manifest relative to a file, so that they can be replaced in it.
+ * @param manifest {Object} a map of original paths to fingerprinted ones, relative to the build.
+ * @param file {string} the file path, relative to the build.
+ * @return {Object} the manifest with paths relative to the file.
+ */
+function getRelativeManifest(manifest, file) {
+    const dir = mpath.dirname(file);
+    return Object.keys(manifest).reduce((relative, original) => Object.assign(relative, {
+        [mpath.relative(dir, original)]: mpath.relative(dir, manifest[original]),
+    }), {});
+}
+
+/**
+ * Names all bundles and resources of a build by their content hash, rewrites the references
+ * to them in bundles and html entries and writes an `asset-manifest.json`.
+ * @param destPath {string} the path where the apps have been built.
+ * @param mapPath {string} the path where the source maps have been written.
+ * @param bundles {Array} the bundle names, relative to destPath, referenced bundles first.
+ * @param entries {Array} [Optional] the html entries, relative to destPath (`index.html`).
+ * @return {Promise} with the manifest.
+ */
+function fingerprintAssets(destPath, mapPath, bundles, entries) {
+    const htmlEntries = entries || ['index.html'];
+    const manifest = {};
+
+    return new Promise((resolve, reject) => {
+        glob(`${destPath}/**/*`, { nodir: true }, (err, files) => (err ? reject(err) : resolve(files)));
+    })
+        .then((files) => {
+            const resources = files
+                .map(file => mpath.relative(destPath, file))
+                .filter(file => htmlEntries.indexOf(file) < 0 && bundles.indexOf(file) < 0)
+                .filter(file => !/\.map$/i.test(file));
+            return Promise.all(resources.map(file => fingerprintFile(destPath, file)
+                .then((fingerprinted) => {
+                    manifest[file] = fingerprinted;
+                })));
+        })
+        // Bundles are fingerprinted one after the other, so they can reference the previous ones
+        .then(() => bundles.reduce((promise, bundle) => promise
+            .then(() => readFile(mpath.join(destPath, bundle)))
+            .then((data) => {
+                const content = replaceReferences(data, getRelativeManifest(manifest, bundle));
+                const hashed = getFingerprintedName(bundle, getContentHash(content));
+                const code = content.replace(`sourceMappingURL=${mpath.basename(bundle)}.map`,
+                    `sourceMappingURL=${mpath.basename(hashed)}.map`);
+                logFileProgress('Fingerprinting', `${bundle} as ${hashed}`);
+                return writeFile(destPath, hashed, code)
+                    .then(() => clean(mpath.join(destPath, bundle)))
+                    .then(() => fingerprintSourceMap(mapPath, bundle, hashed))
+                    .then(() => {
+                        manifest[bundle] = hashed;
+                    });
+            }), Promise.resolve()))
+        .then(() => Promise.all(htmlEntries.map(entry => readFile(mpath.join(destPath, entry))
+            .then((data) => {
+                const content = replaceReferences(data, getRelativeManifest(manifest, entry));
+                return writeFile(destPath, entry, content);
+            }))))
+        .then(() => writeFile(destPath, 'asset-manifest.json', JSON.stringify(manifest, null, 2)))
+        .then(() => manifest);
+}
+
+/**
+ * Stores processed chunks by their source path.
+ * @param chunks {Object} the chunks of an angular app by source path.
+ * @param processed {Array} the processed chunks.
+ * @return {Object} the chunks.
+ */
+function setChunks(chunks, processed) {
+    processed.forEach((chunk) => {
+        chunks[chunk.source] = chunk; // eslint-disable-line no-param-reassign
+    });
+    return chunks;
+}
+
+/**
+ * Gets the processed chunks of a bundle, in the order of its files.
+ * @param build {Object} the processed angular app (see processAngular).
+ * @param bundle {Object} the bundle.
+ * @return {Array} the chunks.
+ */
+function getBundleChunks(build, bundle) {
+    const chunks = bundle.type === 'js' ? build.jsChunks : build.cssChunks;
+    return bundle.files.map(file => chunks[file]).filter(chunk => chunk);
+}
+
+/**
+ * Gets the files of the bundles of an angular app which could not be processed.
+ * @param build {Object} the processed angular app (see processApp).
+ * @return {Array} the full paths of the failed files.
+ */
+function getFailedFiles(build) {
+    return build.bundles.concat(build.templateBundles)
+        .reduce((all, bundle) => all.concat(bundle.files
+            .filter(file => !(bundle.type === 'js' ? build.jsChunks : build.cssChunks)[file])), [])
+        .filter((file, i, all) => all.indexOf(file) === i);
+}
+
+/**
+ * Checks the templates referenced by the scripts, templates and html entry of an angular app
+ * against the ones put into $templateCache. Missing templates are errors (unless --no-fail-lint
+ * flag is set) and templates which are never referenced are warned.
+ * Only static paths are checked, so templates referenced by computed paths are warned as unused.
+ * @param build {Object} the processed angular app (see processApp).
+ * @return {Promise}
+ */
+function validateTemplates(build) {
+    const appPath = mpath.join(build.path, build.app.localPath);
+    const normalize = url => url.split(/[?#]/)[0].replace(/^\.?\//, '');
+    const urls = build.templates.map(template => template.url);
+    const references = [];
+    const addReference = (url, file, line) => references.push({ url: normalize(url), file, line });
+
+    build.bundles.concat(build.templateBundles).forEach(bundle => getBundleChunks(build, bundle)
+        .forEach(chunk => (chunk.templates || [])
+            .forEach(template => addReference(template.url, chunk.source, template.line))));
+    build.templates.forEach(template => template.includes
+        .forEach(url => addReference(url, mpath.join(appPath, template.url))));
+    build.includes
+        .forEach(url => addReference(url, mpath.join(build.path, build.app.entry)));
+
+    const missing = references.filter(reference => urls.indexOf(reference.url) < 0);
+    missing.forEach((reference) => {
+        const from = `${reference.file}${reference.line ? `:${reference.line}` : ''}`;
+        logger.error(`Missing template ${clcFile(reference.url)} referenced in ${clcFile(from)}`);
+        if (!options.noFailLint) {
+            addBuildError(reference.file, stageError('templates', `Missing template ${reference.url}`),
+                { line: reference.line });
+        }
+    });
+    urls.filter(url => !references.some(reference => reference.url === url))
+        .forEach(url => logger.warn(`Unused template ${clcFile(mpath.join(appPath, url))}`));
+    return missing.length && !options.noFailLint ? checkBuildErrors() : Promise.resolve();
+}
+
+/**
+ * Writes the html entry and bundles of an angular app from its processed chunks.
+ * Each bundle is written as `<name>.min.js` or `<name>.min.css` (prefixed by the entry name,
+ * like `callback.app.min.js`, when the entry is not an `index.html`) and its block in the entry
+ * is replaced by a reference to it. Templates are appended to the last non vendor script bundle.
+ * Vendor bundles with the same name and files as one already written by another app are not
+ * written again, but referenced. Scripts and links of templates are merged into the bundles of
+ * the templates and the last stylesheet bundle, or written in their own bundles.
+ * Nothing is written when referenced templates are missing (see validateTemplates).
+ * @param build {Object} the processed angular app (see processApp).
  * @param dest {string} the path where angular app will be build.
- * @param localPath {string} the path in dest where the app should be build.
  * @return {Promise}
  */
-function processAngular(path, dest, localPath) {
-    const destPath = mpath.join(dest, localPath || '');
-    let indexData;
-    let processedResources;
-    let templatesjs;
+function writeAngular(build, dest) {
+    const app = build.app;
+    const destPath = mpath.join(dest, app.localPath);
+    const mapPath = getSourceMapsPath(destPath, app.localPath);
+    const version = options.fingerprint ? '' : `?v=${new Date().getTime()}`;
+    const prefix = app.index === 'index.html' ? '' : `${mpath.basename(app.index, '.html')}.`;
+    const jsBundles = build.bundles.filter(bundle => bundle.type === 'js');
+    const appBundles = jsBundles.filter(bundle => !bundle.isVendor);
+    const templatesBundle = (appBundles.length ? appBundles : jsBundles).slice(-1)[0];
+    const templatesCssBundle = build.bundles.filter(bundle => bundle.type === 'css').slice(-1)[0];
+    const mergedChunks = type => build.templateBundles
+        .filter(bundle => bundle.isMerged && bundle.type === type)
+        .reduce((all, bundle) => all.concat(getBundleChunks(build, bundle)), []);
+    // Entries without a bundle of a type (like a callback page without stylesheets) are valid
+    const isFailed = type => build.bundles.some(bundle => bundle.type === type
+        && bundle.files.length && !getBundleChunks(build, bundle).length);
+    const failedTypes = ['css', 'js'].filter(isFailed);
+    const outputs = [];
+    const templateOutputs = [];
+    const referenced = {};
+    let indexData = build.indexData;
 
-    logFileProgress('Processing angular app', path);
-    return prepareTemplates(path, destPath)
-        .then((_templatesjs) => {
-            const index = mpath.join(path, 'index.html');
-            templatesjs = _templatesjs;
-            return readFile(index, true);
+    // A bundle is never written without some of its files
+    const failed = getFailedFiles(build);
+    if (failed.length) {
+        return Promise.reject(stageError('bundle', `Bundles of ${app.entry} not written, as some`
+            + ` of their files failed: ${failed.map(file => mpath.relative(projectRoot, file)).join(', ')}`));
+    }
+    if (failedTypes.length) {
+        return Promise.reject(stageError('bundle', `${failedTypes.join(' and ').toUpperCase()}`
+            + ` bundles of ${app.entry} not written, as they have no processed files`));
+    }
+    build.templateBundles.filter(bundle => !bundle.isMerged).forEach((bundle) => {
+        const chunks = getBundleChunks(build, bundle);
+        if (chunks.length) {
+            templateOutputs.push({ fileName: bundle.name, chunks });
+        }
+    });
+    build.bundles.forEach((bundle) => {
+        let chunks = getBundleChunks(build, bundle);
+        const fileName = `${prefix}${bundle.name}.min.${bundle.type}`;
+        const output = { key: `${bundle.type}:${bundle.name}`, fileName, href: fileName };
+        if (bundle === templatesBundle) {
+            chunks = chunks.concat(mergedChunks('js'));
+            if (envConfigJs) {
+                chunks.push({ name: '(config)', code: envConfigJs });
+            }
+            chunks.push({ name: '(templates)', code: `~(function(){\n${build.templatesjs}\n})()` });
+        }
+        if (bundle === templatesCssBundle) {
+            chunks = chunks.concat(mergedChunks('css'));
+        }
+        output.chunks = chunks;
+        if (!chunks.length) {
+            return;
+        }
+        if (bundle.isVendor) {
+            const sharedKey = `${output.key}:${bundle.files.join('|')}`;
+            const owner = sharedBundles[sharedKey];
+            if (owner && owner !== mpath.join(app.localPath, fileName)) {
+                logFileProgress('Sharing bundle', `${owner} with ${app.entry}`);
+                output.href = mpath.relative(app.localPath, owner);
+                output.isShared = true;
+            } else {
+                sharedBundles[sharedKey] = mpath.join(app.localPath, fileName);
+            }
+        }
+        outputs.push(output);
+    });
+    indexData = indexData.replace(bundleBlockRegex, (block, type, name) => {
+        const key = `${type.toLowerCase() === 'src' ? 'js' : 'css'}:${name || 'all'}`;
+        const output = outputs.filter(o => o.key === key)[0];
+        if (!output || referenced[key]) {
+            return '';
+        }
+        referenced[key] = true;
+        return /\.js$/.test(output.href)
+            ? `<script src="${output.href}${version}"></script>`
+            : `<link href="${output.href}${version}" rel="stylesheet">`;
+    });
+    indexData = htmlMinify(indexData, htmlMinOpts);
+
+    const written = templateOutputs.concat(outputs.filter(output => !output.isShared));
+    const bundles = written.map(output => concatChunks(output.chunks, mapPath, output.fileName));
+    build.bundleFiles = written // eslint-disable-line no-param-reassign
+        .map(output => mpath.join(app.localPath, output.fileName));
+    build.sizes = [sizes.measure(app.entry, indexData, [])] // eslint-disable-line no-param-reassign
+        .concat(written.map((output, i) => sizes.measure(build.bundleFiles[i], bundles[i].code,
+            output.chunks.map(chunk => ({
+                source: chunk.source ? mpath.relative(projectRoot, chunk.source) : chunk.name,
+                size: Buffer.byteLength(chunk.source ? chunk.sourceContent : chunk.code),
+                minified: Buffer.byteLength(chunk.code),
+            })))));
+    return validateTemplates(build)
+        .then(() => Promise.all([writeFile(destPath, app.index, indexData)]
+            .concat(written.map((output, i) =>
+                writeBundle(destPath, mapPath, output.fileName, bundles[i])))));
+}
+
+/**
+ * Gets the bundles of the scripts and links found in the templates of an app: one bundle for each
+ * type, merged into the app bundles (skipping the files already in them) or, in `bundle` mode,
+ * one for each template and type.
+ * @param build {Object} the processed angular app (see processApp).
+ * @param path {string} the path of the app.
+ * @param resources {Array} the resources of each template (see prepareTemplates).
+ * @return {Array} the bundles.
+ */
+function getTemplateBundles(build, path, resources) {
+    const bundled = build.bundles.reduce((all, bundle) => all.concat(bundle.files), []);
+    const isMerge = templateResourcesMode !== 'bundle';
+    const toFiles = files => files
+        .map(file => mpath.join(path, file.split(/[?#]/)[0]))
+        .filter((file, i, all) => all.indexOf(file) === i)
+        .filter(file => !isMerge || bundled.indexOf(file) < 0);
+
+    if (isMerge) {
+        return ['js', 'css'].map(type => ({
+            type,
+            name: 'templates',
+            isMerged: true,
+            files: toFiles(resources.reduce((all, resource) => all
+                .concat(type === 'js' ? resource.scripts : resource.links), [])),
+        }));
+    }
+    return resources
+        .reduce((all, resource) => all.concat(['js', 'css'].map(type => ({
+            type,
+            name: getTemplateBundleName(resource.url, type),
+            files: toFiles(type === 'js' ? resource.scripts : resource.links),
+        }))), [])
+        .filter(bundle => bundle.files.length);
+}
+
+/**
+ * Processes the scripts and links of the template bundles of an app which are not processed yet.
+ * @param build {Object} the processed angular app (see processApp).
+ * @param path {string} the path of the app.
+ * @return {Promise}
+ */
+function processTemplateBundles(build, path) {
+    const files = (type, chunks) => build.templateBundles
+        .filter(bundle => bundle.type === type)
+        .reduce((all, bundle) => all.concat(bundle.files), [])
+        .filter((file, i, all) => all.indexOf(file) === i && !chunks[file])
+        .map(file => mpath.relative(path, file));
+
+    return processScripts(files('js', build.jsChunks), path)
+        .then(jsChunks => setChunks(build.jsChunks, jsChunks))
+        .then(() => processLinks(files('css', build.cssChunks), path))
+        .then(cssChunks => setChunks(build.cssChunks, cssChunks));
+}
+
+/**
+ * Gets the files and directories that are excluded from an app, that is, the html entries of all
+ * apps and the directories of the apps nested in its directory.
+ * @param path {string} the path where all apps are.
+ * @param app {Object} the app.
+ * @return {Array} the full paths of the excluded files and directories.
+ */
+function getAppExcluded(path, app) {
+    return apps.map(other => mpath.join(path, other.entry))
+        .concat(apps
+            .filter(other => other.localPath !== app.localPath
+                && (!app.localPath || other.localPath.indexOf(`${app.localPath}/`) === 0))
+            .map(other => mpath.join(path, other.localPath)));
+}
+
+/**
+ * Completly process an angular app:
+ * Embed all html templates in $templateCache, preprocess its html entry,
+ * minimize and concat the scripts and links of each bundle and write all stuff in dest.
+ * Local scripts and links outside bundle blocks are copied as they are.
+ * Processed chunks are kept, so the app can be incrementally rebuilt with updateAngular.
+ * @param path {string} the path where all apps are.
+ * @param dest {string} the path where all apps will be build.
+ * @param app {Object} the app (see applyConfig).
+ * @return {Promise}
+ */
+function processApp(path, dest, app) {
+    const appPath = mpath.join(path, app.localPath);
+    const destPath = mpath.join(dest, app.localPath);
+    const excluded = getAppExcluded(path, app);
+    const build = { path, app, excluded, jsChunks: {}, cssChunks: {} };
+    const vendorBundles = buildConfig.vendorBundles || ['vendor'];
+    const errorCount = buildErrors.length;
+    let templates;
+
+    logFileProgress('Processing angular app', mpath.join(path, app.entry));
+    return prepareTemplates(appPath, app.templatesModule, excluded)
+        .then((_templates) => {
+            templates = _templates;
+            build.templatesjs = templates.code;
+            build.templates = templates.templates;
+            return readFile(mpath.join(path, app.entry), true);
         })
-        .then((_indexData) => {
-            indexData = _indexData;
+        .then((indexData) => {
+            // Scanned before cheerio, which encodes the quotes of `ng-include="'path'"`
+            build.includes = getIncludedTemplates(indexData);
             return getResources(indexData);
         })
-        .then((_processedResources) => {
-            const results = [];
-            processedResources = _processedResources;
-            return processScripts(processedResources.scripts, path)
-                .then((jsData) => {
-                    results.push(jsData);
-                    return processLinks(processedResources.links, path);
-                })
-                .then((cssData) => {
-                    results.push(cssData);
-                    return processResources(path, destPath);
-                })
-                .then(() => results);
+        .then((processedResources) => {
+            const isVendor = bundle => bundle.type === 'js' && vendorBundles.indexOf(bundle.name) >= 0;
+            const files = (type, vendor) => processedResources.bundles
+                .filter(bundle => bundle.type === type)
+                .filter(bundle => vendor === undefined || isVendor(bundle) === vendor)
+                .reduce((all, bundle) => all.concat(bundle.files), []);
+            build.indexData = processedResources.indexData;
+            build.bundles = processedResources.bundles.map(bundle => ({
+                type: bundle.type,
+                name: bundle.name,
+                isVendor: isVendor(bundle),
+                files: bundle.files.map(file => mpath.join(appPath, file)),
+            }));
+            build.templateBundles = getTemplateBundles(build, appPath, templates.resources);
+            build.external = processedResources.scripts.concat(processedResources.links)
+                .filter(file => file && isLocalFile(file))
+                .map(file => mpath.join(appPath, file.split(/[?#]/)[0]));
+            return processScripts(files('js', false), appPath)
+                .then(jsChunks => setChunks(build.jsChunks, jsChunks))
+                .then(() => processScripts(files('js', true), appPath, true))
+                .then(jsChunks => setChunks(build.jsChunks, jsChunks))
+                .then(() => processLinks(files('css'), appPath))
+                .then(cssChunks => setChunks(build.cssChunks, cssChunks))
+                .then(() => processTemplateBundles(build, appPath))
+                .then(() => processResources(appPath, destPath, excluded))
+                .then(() => copyFiles(build.external, appPath, destPath));
+        })
+        .then(() => {
+            angularBuilds[app.entry] = build;
+            // Errors of files shared with previous apps are already recorded
+            return getFailedFiles(build).length ? checkBuildErrors() : checkBuildErrors(errorCount);
         })
-        .then((results) => {
-            let jsData = results[0];
-            const cssData = results[1];
-            if (!jsData && !cssData) {
-                return Promise.reject('CSS and JS failed');
+        .then(() => writeAngular(build, dest));
+}
+
+/**
+ * Reports the sizes of the outputs of all apps, with the inputs they are made of, into the log and
+ * `logs/size-report.json`, and checks them against the `budgets` of the build configuration.
+ * @return {Promise} rejected when a budget with error severity is exceeded.
+ */
+function reportSizes() {
+    // Apps in the same directory write the same template bundles
+    const outputs = apps
+        .reduce((all, app) => all.concat(angularBuilds[app.entry].sizes), [])
+        .filter((output, i, all) => all.map(o => o.file).indexOf(output.file) === i);
+    const report = sizes.report(outputs, buildConfig.budgets, options.verbose);
+
+    assets.log(resourceSavings);
+    report.resources = resourceSavings;
+
+    return writeFile(mpath.join(projectRoot, 'logs'), 'size-report.json', JSON.stringify(report, null, 2))
+        .then(() => {
+            report.budgets
+                .filter(result => result.isExceeded && result.severity === 'error')
+                .forEach(result => addBuildError(result.bundle, stageError('budget',
+                    `${result.limit} of ${result.actual} bytes exceeds the budget of ${result.max} bytes`)));
+            return checkBuildErrors();
+        });
+}
+
+/**
+ * Writes the precache manifest and the service worker of a build (see serviceWorker.js), listing
+ * every file written to dest with the hash of its content, except source maps, the asset manifest
+ * and the excluded ones (see `serviceWorker` in the build configuration). The service worker is
+ * only registered in the html entries of browser builds, before they are hashed.
+ * @param dest {string} the path where the apps have been built.
+ * @return {Promise}
+ */
+function writeServiceWorker(dest) {
+    const isBrowser = preprocessOptions.context.PLATFORM === 'browser';
+    const generated = [serviceWorkerOpts.file, serviceWorkerOpts.manifest];
+    const read = file => new Promise((resolve, reject) => {
+        fs.readFile(mpath.join(dest, file), (err, data) => (err ? reject(err) : resolve(data)));
+    });
+
+    return Promise.all((isBrowser ? apps : []).map((app) => {
+        const url = mpath.relative(app.localPath, serviceWorkerOpts.file).split(mpath.sep).join('/');
+        return read(app.entry).then(html => writeFile(dest, app.entry,
+            serviceWorker.injectRegistration(html.toString(), url)));
+    }))
+        .then(() => new Promise((resolve, reject) => {
+            glob('**/*', { cwd: dest, nodir: true }, (err, files) => (err ? reject(err) : resolve(files)));
+        }))
+        .then(files => Promise.all(files
+            .filter(file => generated.indexOf(file) < 0
+                && !/(\.map|asset-manifest\.json)$/i.test(file)
+                && !serviceWorkerOpts.exclude.some(exclude => exclude.test(file)))
+            .map(file => read(file).then(data => ({ url: file, revision: getContentHash(data) })))))
+        .then((files) => {
+            const manifest = serviceWorker.getManifest(files);
+            logger.info(`Precaching ${files.length} files in ${serviceWorkerOpts.file}, version ${manifest.version}`
+                + `${isBrowser ? '' : ' (only registered in browser builds)'}`);
+            return writeFile(dest, serviceWorkerOpts.manifest, JSON.stringify(manifest, null, 2))
+                .then(() => writeFile(dest, serviceWorkerOpts.file,
+                    serviceWorker.toScript(manifest, serviceWorkerOpts.cacheName)));
+        });
+}
+
+/**
+ * Loads the environment configuration, `config/<env>.json` by default (see `envConfig` in the
+ * build configuration), into an angular module with a constant, which is appended to the bundle
+ * of templates of every app. It is only loaded when `envConfig` is configured or --env is given,
+ * so projects with an unrelated `config` directory are not affected.
+ * @return {Promise} rejected when the configuration is missing or does not match its schema.
+ */
+function loadEnvConfig() {
+    const dir = mpath.join(projectRoot, envConfigOpts.dir);
+    envConfigJs = undefined;
+    if (!options.envConfig) {
+        return Promise.resolve();
+    }
+    return new Promise(resolve => resolve(constants.load(dir, options.configEnv)))
+        .then((res) => {
+            if (!res) {
+                return Promise.reject(stageError('config',
+                    `Missing environment configuration directory ${dir}`));
             }
-            if (!jsData) {
-                return Promise.reject('JS failed');
+            logger.info(`Using environment configuration from ${res.source}`);
+            res.warnings.forEach(warning => logger.warn(`Environment configuration: ${warning}`));
+            res.errors.forEach((error) => {
+                logger.error(clcError(`Environment configuration: ${error}`));
+                addBuildError(res.source, stageError('config', error));
+            });
+            if (res.errors.length) {
+                return checkBuildErrors();
             }
-            if (!cssData) {
-                return Promise.reject('CSS failed');
+            envConfigJs = constants.toModule(res.values, envConfigOpts.module,
+                envConfigOpts.constant);
+            return null;
+        }, err => Promise.reject(stageError('config', err.message)));
+}
+
+/**
+ * Completly process all angular apps of the project (see the `apps` configuration), one after
+ * the other, fingerprints the whole build when requested, reports the sizes of the outputs and
+ * writes the summary of lint reports.
+ * @param path {string} the path where all apps are.
+ * @param dest {string} the path where all apps will be build.
+ * @return {Promise}
+ */
+function processAngular(path, dest) {
+    sharedBundles = {};
+    lintReports = {};
+    buildErrors = [];
+    resourceSavings = {};
+    optimisedResources = {};
+    loadBuildIgnore(path);
+    // Every app is processed, even after a failed one, to report all errors at once
+    return loadEnvConfig()
+        .then(() => apps.reduce((promise, app) => promise
+            .then(() => processApp(path, dest, app))
+            .catch(err => addBuildError(mpath.join(path, app.entry), err)), Promise.resolve()))
+        .then(() => checkBuildErrors())
+        .then(() => {
+            if (!options.fingerprint) {
+                return null;
             }
-            jsData += `\n~(function(){\n${templatesjs}\n})()`;
-            indexData = processedResources.indexData;
-            indexData = indexData.replace(/<!--startcss-->[^]+<!--endcss-->/gi, `<link href="all.min.css?v=${new Date().getTime()}" rel="stylesheet">`);
-            indexData = indexData.replace(/<!--startsrc-->[^]+<!--endsrc-->/gi, `<script src="all.min.js?v=${new Date().getTime()}"></script>`);
-            indexData = htmlMinify(indexData, htmlMinOpts);
-
-            return Promise.all([
-                writeFile(destPath, 'index.html', indexData),
-                writeFile(destPath, 'all.min.js', jsData),
-                writeFile(destPath, 'all.min.css', cssData),
-            ]);
+            const entries = apps.map(app => app.entry);
+            // Apps in the same directory write the same template bundles
+            const bundles = entries
+                .reduce((all, entry) => all.concat(angularBuilds[entry].bundleFiles), [])
+                .filter((bundle, i, all) => all.indexOf(bundle) === i);
+            return fingerprintAssets(dest, getSourceMapsPath(dest), bundles, entries);
+        })
+        .then(() => reportSizes())
+        .then(() => options.serviceWorker && writeServiceWorker(dest))
+        .then(() => writeReportSummary(),
+            err => writeReportSummary().then(() => Promise.reject(err)))
+        .catch((err) => {
+            addBuildError(undefined, err);
+            reportBuildErrors();
+            return Promise.reject(`Build failed with ${buildErrors.length} error(s)`);
         });
 }
 
-function mv(orig, dest) {
-    return new Promise((resolve, reject) => {
-        mvExt(orig, dest, (err) => {
-            if (err) {
-                reject(err);
-            } else {
-                resolve();
+/**
+ * Incrementally rebuilds an angular app, previously built with processApp, when a file changes:
+ * - The html entry: the whole app is processed again.
+ * - Scripts and links of bundles: only the changed one is processed again.
+ * - Templates: templates are processed again, along with their new scripts and links.
+ * - Any other resource is copied to (or removed from) dest.
+ * Bundles are rewritten whenever a script, link or template changes.
+ * @param path {string} the path where all apps are.
+ * @param dest {string} the path where all apps are build.
+ * @param app {Object} the app.
+ * @param file {string} the full path of the changed file.
+ * @param event {string} the file system event: add, addDir, change, unlink or unlinkDir.
+ * @return {Promise}
+ */
+function updateApp(path, dest, app, file, event) {
+    const build = angularBuilds[app.entry];
+    const isRemoved = event === 'unlink' || event === 'unlinkDir';
+    const appPath = mpath.join(path, app.localPath);
+
+    if (!build || file === mpath.join(path, app.entry)) {
+        return processApp(path, dest, app);
+    }
+    const bundle = build.bundles.concat(build.templateBundles)
+        .filter(b => b.files.indexOf(file) >= 0)[0];
+    if (bundle && isRemoved) {
+        bundle.files = bundle.files.filter(f => f !== file);
+    }
+    if (bundle && bundle.type === 'js') {
+        const script = mpath.relative(appPath, file);
+        delete build.jsChunks[file];
+        return (isRemoved ? Promise.resolve([])
+            : processScripts([script], appPath, bundle.isVendor))
+            .then(jsChunks => setChunks(build.jsChunks, jsChunks))
+            .then(() => writeAngular(build, dest));
+    }
+    if (bundle) {
+        const link = mpath.relative(appPath, file);
+        delete build.cssChunks[file];
+        return (isRemoved ? Promise.resolve([]) : processLinks([link], appPath))
+            .then(cssChunks => setChunks(build.cssChunks, cssChunks))
+            .then(() => writeAngular(build, dest));
+    }
+
+    const destPath = mpath.join(dest, app.localPath);
+    if (/\.html$/i.test(file) || event === 'unlinkDir') {
+        return syncFile(event, file, appPath, destPath, { exclude: resourcesExclude })
+            .then(() => prepareTemplates(appPath, app.templatesModule, build.excluded))
+            .then((templates) => {
+                build.templatesjs = templates.code;
+                build.templates = templates.templates;
+                build.templateBundles = getTemplateBundles(build, appPath, templates.resources);
+                return processTemplateBundles(build, appPath);
+            })
+            .then(() => writeAngular(build, dest));
+    }
+    return syncFile(event, file, appPath, destPath, {
+        exclude: build.external.indexOf(file) >= 0 ? [] : resourcesExclude,
+    });
+}
+
+/**
+ * Incrementally rebuilds the angular apps a changed file belongs to (see updateApp).
+ * Files that do not belong to any app are ignored.
+ * @param path {string} the path where all apps are.
+ * @param dest {string} the path where all apps are build.
+ * @param file {string} the full path of the changed file.
+ * @param event {string} the file system event: add, addDir, change, unlink or unlinkDir.
+ * @return {Promise}
+ */
+function updateAngular(path, dest, file, event) {
+    const isInApp = (app) => {
+        const appPath = mpath.join(path, app.localPath);
+        const entry = mpath.join(path, app.entry);
+        const excluded = getAppExcluded(path, app).filter(exclude => exclude !== entry);
+        return (file === appPath || file.indexOf(`${appPath}/`) === 0) && !isExcluded(file, excluded);
+    };
+    buildErrors = [];
+    return apps.filter(isInApp)
+        .reduce((promise, app) => promise.then(() => updateApp(path, dest, app, file, event)),
+            Promise.resolve())
+        .then(() => writeReportSummary(),
+            err => writeReportSummary().then(() => Promise.reject(err)))
+        .catch((err) => {
+            addBuildError(undefined, err);
+            reportBuildErrors();
+            return Promise.reject(`Update failed with ${buildErrors.length} error(s)`);
+        });
+}
+
+/**
+ * Sets the platform being built, which is exposed to preprocess as `PLATFORM` and as a flag
+ * named as the platform in upper case (`IOS`, `ANDROID`, `BROWSER`...).
+ * As the preprocess context is part of the cache signature, call `initCache` after it.
+ * @param platform {string} the platform or undefined to build for none.
+ */
+function setPlatform(platform) {
+    const context = preprocessOptions.context;
+    context.PLATFORM = platform;
+    ['ios', 'android', 'browser'].concat(platforms).forEach((name) => {
+        context[name.toUpperCase().replace(/\W/g, '_')] = name === platform ? true : undefined;
+    });
+}
+
+/**
+ * Gets the directory where the build of a platform is written when several platforms are
+ * prepared at once.
+ * @param platform {string} the platform.
+ * @return {string} the path of the build.
+ */
+function getPlatformBuildPath(platform) {
+    return mpath.join(projectRoot, options.dest, platform);
+}
+
+/**
+ * Gets the file recording the platforms built apart by the current prepare (see setBuiltPlatforms).
+ * @return {string} the path of the file.
+ */
+function getBuiltPlatformsPath() {
+    return mpath.join(projectRoot, options.dest, '.built.json');
+}
+
+/**
+ * Records the platforms built apart by the current prepare, which are the only ones installed by
+ * the after_prepare hook, so builds left in dest by previous prepares are never installed.
+ * Prepares that do not build platforms apart (copy, serve and watch modes, skipped builds) record
+ * none.
+ * @param built {Array} the platforms.
+ * @return {Promise}
+ */
+function setBuiltPlatforms(built) {
+    const file = getBuiltPlatformsPath();
+    if (!built.length) {
+        return del([file]);
+    }
+    return writeFile(mpath.dirname(file), mpath.basename(file), JSON.stringify(built));
+}
+
+/**
+ * Gets the platforms built apart by the current prepare (see setBuiltPlatforms), forgetting them
+ * so that they are installed once.
+ * @return {Promise} with the platforms.
+ */
+function takeBuiltPlatforms() {
+    const file = getBuiltPlatformsPath();
+    if (!fs.existsSync(file)) {
+        return Promise.resolve([]);
+    }
+    return new Promise(resolve => resolve(JSON.parse(fs.readFileSync(file, 'utf8'))))
+        .then(built => del([file]).then(() => built));
+}
+
+/**
+ * Gets the www directory of a platform, where cordova copies the project www when preparing.
+ * @param platform {string} the platform.
+ * @return {string} the path of the platform www.
+ */
+function getPlatformWww(platform) {
+    const platformPath = mpath.join(projectRoot, 'platforms', platform);
+    if (platform === 'android') {
+        const studioWww = mpath.join(platformPath, 'app/src/main/assets/www');
+        return fs.existsSync(studioWww) ? studioWww : mpath.join(platformPath, 'assets/www');
+    }
+    return mpath.join(platformPath, 'www');
+}
+
+/**
+ * Replaces, in the www of a platform, what cordova copied from the project www with the build of
+ * the platform. Files of the platform itself (cordova.js, plugins...) are kept.
+ * @param platform {string} the platform.
+ * @param www {string} the project www.
+ * @return {Promise}
+ */
+function installPlatformBuild(platform, www) {
+    const buildPath = getPlatformBuildPath(platform);
+    const platformWww = getPlatformWww(platform);
+    const list = cwd => new Promise((resolve, reject) => {
+        glob('**/*', { cwd, nodir: true, dot: true }, (err, files) => (err ? reject(err) : resolve(files)));
+    });
+
+    if (!fs.existsSync(buildPath)) {
+        return Promise.resolve();
+    }
+    if (!fs.existsSync(platformWww)) {
+        logger.warn(`Platform ${platform} has no www in ${platformWww}, its build is not installed`);
+        return Promise.resolve();
+    }
+    logger.info(`Installing build of ${platform} into ${platformWww}`);
+    return Promise.all([list(buildPath), list(www)])
+        .then((lists) => {
+            const stale = lists[1].filter(file => lists[0].indexOf(file) < 0);
+            return removeFiles(stale, www, platformWww)
+                .then(() => copyFiles(lists[0], buildPath, platformWww));
+        });
+}
+
+/**
+ * Gets the version of an installed package.
+ * @param name {string} the package.
+ * @return {string} the version.
+ */
+function getPackageVersion(name) {
+    // eslint-disable-next-line global-require, import/no-dynamic-require
+    return require(`${name}/package.json`).version;
+}
+
+/**
+ * Initializes the build cache, which is invalidated whenever options or tool versions change,
+ * and clears it when requested.
+ * @return {Promise}
+ */
+function initCache() {
+    const signature = JSON.stringify({
+        version: pluginVersion,
+        tools: cachedTools.map(tool => `${tool}@${getPackageVersion(tool)}`),
+        options: {
+            env: options.env,
+            skipComp: options.skipComp,
+            sourceMaps: options.sourceMaps,
+            preprocessResources: options.preprocessResources,
+            inlineLimit: options.inlineLimit,
+        },
+        context: preprocessOptions.context,
+        uglifyOpts,
+        htmHintOpts,
+        cssRewrites: cssRewrites.map(rewrite => `${rewrite.from} ${rewrite.to}`),
+        transforms: Object.keys(transforms).map(type => ['before', 'after']
+            .map(stage => transforms[type][stage].map(transform => transform.toString()))),
+    });
+
+    cache.init(mpath.join(projectRoot, '.build-cache'), signature, !options.skipCache);
+    return options.clearCache ? cache.clear() : Promise.resolve();
+}
+
+/**
+ * Gets the custom transforms of the build configuration, which are functions or paths of
+ * modules exporting a function, relative to the project root.
+ * @param config {Object} the transforms: { js: { before: [], after: [] }, css, html }.
+ * @return {Object} the transforms by type and stage, always with arrays of functions.
+ */
+function getTransforms(config) {
+    const types = ['js', 'css', 'html'];
+    const res = {};
+
+    Object.keys(config).forEach((type) => {
+        if (types.indexOf(type) < 0) {
+            throw new Error(`Invalid build configuration: unknown transforms type ${type},`
+                + ` valid ones are: ${types.join(', ')}`);
+        }
+        Object.keys(config[type] || {}).forEach((stage) => {
+            if (['before', 'after'].indexOf(stage) < 0) {
+                throw new Error(`Invalid build configuration: unknown stage transforms.${type}.${stage},`
+                    + ' valid ones are: before, after');
             }
         });
     });
+    types.forEach((type) => {
+        res[type] = {};
+        ['before', 'after'].forEach((stage) => {
+            res[type][stage] = [].concat((config[type] || {})[stage] || []).map((transform) => {
+                let fn = transform;
+                if (typeof transform === 'string') {
+                    try {
+                        // eslint-disable-next-line global-require, import/no-dynamic-require
+                        fn = require(mpath.resolve(projectRoot, transform));
+                    } catch (err) {
+                        throw new Error(`Invalid build configuration: transform ${transform} could`
+                            + ` not be loaded: ${err.message}`);
+                    }
+                }
+                if (typeof fn !== 'function') {
+                    throw new Error(`Invalid build configuration: transforms.${type}.${stage} must be`
+                        + ` functions or paths of modules exporting a function, found ${transform}`);
+                }
+                return fn;
+            });
+        });
+    });
+    return res;
 }
 
-function clean(dest) {
-    logFileProgress('Cleaning', dest);
-    return del([dest]);
+/**
+ * Applies the settings of the project configuration over the default ones.
+ */
+function applyConfig() {
+    const toRegExp = (value, flags) => (value instanceof RegExp
+        ? new RegExp(value.source, `${flags}${value.ignoreCase && flags.indexOf('i') < 0 ? 'i' : ''}`)
+        : new RegExp(value, flags));
+
+    configLoader.merge(uglifyOpts, buildConfig.uglify);
+    configLoader.merge(htmlMinOpts, buildConfig.htmlMin);
+    configLoader.merge(htmHintOpts, buildConfig.htmlHint);
+    configLoader.merge(cssLintOpts, buildConfig.cssLint);
+    configLoader.merge(envConfigOpts, buildConfig.envConfig);
+    configLoader.merge(serviceWorkerOpts, buildConfig.serviceWorker);
+    serviceWorkerOpts.exclude = [].concat(serviceWorkerOpts.exclude).map(exclude => toRegExp(exclude, 'i'));
+    if (buildConfig.resourcesExclude) {
+        resourcesExclude = buildConfig.resourcesExclude.map(exclude => toRegExp(exclude, 'i'));
+    }
+    cssRewrites = (buildConfig.cssRewrites || []).map(rewrite => ({
+        from: toRegExp(rewrite.from, 'g'),
+        to: rewrite.to.replace(/\{bower\}/g, bowerInner),
+    }));
+    apps = (buildConfig.apps || ['index.html']).map((declared) => {
+        const app = typeof declared === 'string' ? { entry: declared } : declared;
+        if (!app || typeof app.entry !== 'string') {
+            throw new Error(`Invalid app in build configuration: ${JSON.stringify(declared)},`
+                + ' it must be an html entry or an app directory, relative to src');
+        }
+        const entry = mpath.normalize(/\.html$/i.test(app.entry) ? app.entry : mpath.join(app.entry, 'index.html'));
+        return {
+            entry,
+            localPath: mpath.dirname(entry).replace(/^\.$/, ''),
+            index: mpath.basename(entry),
+            templatesModule: app.templatesModule || 'templates',
+        };
+    });
+    transforms = getTransforms(buildConfig.transforms || {});
+    sizes.validateBudgets(buildConfig.budgets);
+    templateResourcesMode = buildConfig.templateResources || 'merge';
+    if (['merge', 'bundle'].indexOf(templateResourcesMode) < 0) {
+        throw new Error('Invalid build configuration: templateResources must be merge or bundle,'
+            + ` found ${templateResourcesMode}`);
+    }
+    apps.forEach((app, i) => {
+        if (apps.map(other => other.entry).indexOf(app.entry) !== i) {
+            throw new Error(`Invalid build configuration: app ${app.entry} is declared twice`);
+        }
+    });
 }
 
-function init(context) {
-    preprocessOptions = prepareOptions(context.opts.options || {});
+/**
+ * Sets the project root, the logger and the platforms being prepared (without version).
+ * @param context {Object} the context of the cordova hook.
+ */
+function initProject(context) {
     projectRoot = context.opts.projectRoot;
+    global.logger = new winston.Logger({
+        transports: [
+            new (winston.transports.Console)(),
+        ],
+    });
+    logger.filters.push((level, msg) => `${chalk.gray(formatYMDHMDate(new Date()))} - ${msg}`);
+    platforms = (context.opts.platforms || [])
+        .map(platform => platform.split('@')[0])
+        .filter((platform, i, all) => platform && all.indexOf(platform) === i);
+}
+
+/**
+ * Initializes the after_prepare hook, which only installs the builds of platforms (see
+ * installPlatformBuild): unlike init, it only resolves the options, without logging nor
+ * validating again what the before_prepare hook of the same prepare already did.
+ * @param context {Object} the context of the cordova hook.
+ */
+function initInstall(context) {
+    initProject(context);
+    const projectConfig = configLoader.load(projectRoot);
+    const resolved = resolveOptions(context.opts.options || {}, projectConfig.config,
+        projectConfig.source);
+    options = Object.assign(optionsSchema.getDefaults(), resolved.configured.values,
+        resolved.given.values);
+}
+
+function init(context) {
+    initProject(context);
+
+    const projectConfig = configLoader.load(projectRoot);
+    if (projectConfig.source) {
+        logger.info(`Using build configuration from ${projectConfig.source}`);
+    }
+    preprocessOptions = prepareOptions(context.opts.options || {}, projectConfig.config,
+        projectConfig.source, context.cmdLine);
 
     try {
         bowerDir = JSON.parse(fs.readFileSync(mpath.join(projectRoot, '.bowerrc'), 'utf8')).directory.replace(/(\/?|^)www\//g, 'src/');
     } catch (err) {
         bowerDir = 'bower_components';
     }
-    skipLintRegex = new RegExp(`(${bowerDir}/|node_modules/|\.min\.js$)`, 'i');
+    skipLintRegex = new RegExp(`(${bowerDir}/|node_modules/|\\.min\\.js$|\\.min\\.css$)`, 'i');
+    vendorRegex = new RegExp(`(${bowerDir}/|node_modules/)`, 'i');
     const bowerParts = bowerDir.split('/');
     while (bowerParts.shift() !== 'src');
     bowerInner = bowerParts.join('/');
-    global.logger = new winston.Logger({
-        transports: [
-            new (winston.transports.Console)(),
-        ],
-    });
-    logger.filters.push((level, msg) => `${chalk.gray(formatYMDHMDate(new Date()))} - ${msg}`);
+    applyConfig();
+    setPlatform(platforms[0]);
 }
 
 module.exports = {
     init,
+    initInstall,
     clean,
     mv,
+    swap,
+    rollback,
+    getBackupPath,
+    lockBuild,
+    unlockBuild: () => lock.release(getLockPath()),
+    getLockPath,
+    getLockOwner: () => lock.getOwner(getLockPath()),
     processAngular,
+    updateAngular,
+    initCache,
     ensureDirExists,
     readFile,
     writeFile,
     copyFiles,
+    syncFile,
+    setPlatform,
+    getPlatformBuildPath,
+    setBuiltPlatforms,
+    takeBuiltPlatforms,
+    installPlatformBuild,
+    logOptions,
+    loadBuildIgnore,
+    isBuildIgnored,
+    getOptions: () => options,
+    getPlatforms: () => platforms,
 };
@@ -0,0 +1,185 @@
+'use strict'; // eslint-disable-line strict, lines-around-directive
+
+const mpath = require('path');
+const fs = require('fs');
+
+/**
+ * Valid keys of the build configuration and their types.
+ */
+const schema = {
+    options: 'object', // Default values for command line options, by their long name
+    env: 'object', // Sections merged into the configuration for each environment
+    uglify: 'object', // Merged into uglify options
+    htmlMin: 'object', // Merged into html-minifier options
+    htmlHint: 'object', // Merged into htmlhint rules
+    cssLint: 'object', // Merged into csslint rules
+    resourcesExclude: 'array', // Regexes of files that are not copied as resources
+    cssRewrites: 'array', // Replacements done in stylesheets: [{ from: regex, to: string }]
+    vendorBundles: 'array', // Names of the script bundles that are neither linted nor annotated
+    templateResources: 'string', // How scripts and links of templates are bundled: merge or bundle
+    apps: 'array', // Html entries or app directories to build: ['index.html', 'widget', { entry, templatesModule }]
+    transforms: 'object', // Custom stages by file type: { js: { before: [fn], after: [fn] }, css, html }
+    preprocess: 'object', // Preprocess variables: { context: { KEY: value }, envPrefix: 'PREPROCESS_' }
+    envConfig: 'object', // Angular constant generated from <dir>/<env>.json: { dir, module, constant }
+    budgets: 'array', // Size limits of outputs: [{ bundle, maxSize, maxGzip, severity }]
+    serviceWorker: 'object', // Service worker of -sw flag: { file, manifest, cacheName, exclude: [regex] }
+};
+
+/**
+ * Computes the distance between two strings (Levenshtein).
+ */
+function distance(a, b) {
+    const row = [];
+    for (let j = 0; j <= b.length; j += 1) {
+        row[j] = j;
+    }
+    for (let i = 1; i <= a.length; i += 1) {
+        let prev = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j += 1) {
+            const tmp = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+            prev = tmp;
+        }
+    }
+    return row[b.length];
+}
+
+/**
+ * Suggests the most similar of some valid names for a wrong one.
+ * @param name {string} the wrong name.
+ * @param names {Array} the valid names.
+ * @return {string} the suggestion or undefined when none is similar enough.
+ */
+function suggest(name, names) {
+    let best;
+    let bestDistance = Math.max(2, Math.floor(name.length / 3)) + 1;
+    names.forEach((candidate) => {
+        const d = distance(name.toLowerCase(), candidate.toLowerCase());
+        if (d < bestDistance) {
+            best = candidate;
+            bestDistance = d;
+        }
+    });
+    return best;
+}
+
+/**
+ * Gets the type of a value, like typeof but telling arrays and null apart.
+ * @param value {*} the value.
+ * @return {string} the type: array, null or the typeof of the value.
+ */
+function getType(value) {
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    return value === null ? 'null' : typeof value;
+}
+
+/**
+ * Validates a configuration, throwing an error for the first unknown key or wrong type.
+ * @param config {Object} the configuration.
+ * @param source {string} where the configuration comes from, for error messages.
+ * @param section {string} [Optional] the section being validated, for error messages.
+ */
+function validate(config, source, section) {
+    const prefix = section ? `${section}.` : '';
+    if (getType(config) !== 'object') {
+        throw new Error(`Invalid build configuration in ${source}: ${section || 'it'} must be an object`);
+    }
+    Object.keys(config).forEach((key) => {
+        if (!schema[key] || (section && key === 'env')) {
+            const suggestion = suggest(key, Object.keys(schema));
+            throw new Error(`Invalid build configuration in ${source}: unknown key "${prefix}${key}"`
+                + `${suggestion ? ` (did you mean "${prefix}${suggestion}"?)` : ''}.`
+                + ` Valid keys are: ${Object.keys(schema).join(', ')}`);
+        }
+        if (getType(config[key]) !== schema[key]) {
+            throw new Error(`Invalid build configuration in ${source}: "${prefix}${key}" must be`
+                + ` of type ${schema[key]}, found ${getType(config[key])}`);
+        }
+    });
+    if (config.env) {
+        Object.keys(config.env).forEach(env => validate(config.env[env], source, `env.${env}`));
+    }
+}
+
+/**
+ * Deeply merges plain objects (which are copied, never shared), other values are replaced.
+ * @param target {Object} the object to merge into.
+ * @param source {Object} the object to merge from.
+ * @return {Object} the target.
+ */
+function merge(target, source) {
+    Object.keys(source || {}).forEach((key) => {
+        if (getType(source[key]) === 'object' && !(source[key] instanceof RegExp)) {
+            target[key] = merge(getType(target[key]) === 'object' ? target[key] : {}, source[key]); // eslint-disable-line no-param-reassign, max-len
+        } else {
+            target[key] = source[key]; // eslint-disable-line no-param-reassign
+        }
+    });
+    return target;
+}
+
+/**
+ * Reads the build configuration of a project, from the first found of:
+ * `build.config.js`, `.ionicbuildrc` (JSON) or the `ionicBuild` key in `package.json`.
+ * @param projectRoot {string} the project root.
+ * @return {Object} with the configuration and its source, which is undefined if none is found.
+ */
+function read(projectRoot) {
+    const jsFile = mpath.join(projectRoot, 'build.config.js');
+    const rcFile = mpath.join(projectRoot, '.ionicbuildrc');
+    const pkgFile = mpath.join(projectRoot, 'package.json');
+
+    if (fs.existsSync(jsFile)) {
+        delete require.cache[require.resolve(jsFile)];
+        return { config: require(jsFile), source: jsFile }; // eslint-disable-line global-require, import/no-dynamic-require, max-len
+    }
+    if (fs.existsSync(rcFile)) {
+        try {
+            return { config: JSON.parse(fs.readFileSync(rcFile, 'utf8')), source: rcFile };
+        } catch (err) {
+            throw new Error(`Invalid build configuration in ${rcFile}: ${err.message}`);
+        }
+    }
+    if (fs.existsSync(pkgFile)) {
+        const pkg = JSON.parse(fs.readFileSync(pkgFile, 'utf8'));
+        if (pkg.ionicBuild !== undefined) {
+            return { config: pkg.ionicBuild, source: `${pkgFile} (ionicBuild)` };
+        }
+    }
+    return { config: {} };
+}
+
+/**
+ * Loads and validates the build configuration of a project.
+ * @param projectRoot {string} the project root.
+ * @return {Object} with the configuration and its source, which is undefined if none is found.
+ */
+function load(projectRoot) {
+    const res = read(projectRoot);
+    validate(res.config, res.source);
+    return res;
+}
+
+/**
+ * Gets the configuration for an environment, that is, the base configuration with the
+ * environment section merged into it.
+ * @param config {Object} the configuration.
+ * @param env {string} the environment (production, development...).
+ * @return {Object} the configuration for the environment.
+ */
+function forEnv(config, env) {
+    const envConfig = merge({}, config);
+    delete envConfig.env;
+    return merge(envConfig, (config.env || {})[env]);
+}
+
+module.exports = {
+    load,
+    forEnv,
+    merge,
+    suggest,
+    getType,
+};
@@ -0,0 +1,104 @@
+'use strict'; // eslint-disable-line strict, lines-around-directive
+
+const mpath = require('path');
+const fs = require('fs');
+const getType = require('./config').getType;
+
+const types = ['string', 'number', 'boolean', 'object', 'array'];
+
+/**
+ * Reads a JSON file.
+ * @param file {string} the file.
+ * @return {*} the parsed content.
+ */
+function readJson(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        throw new Error(`Invalid environment configuration in ${file}: ${err.message}`);
+    }
+}
+
+/**
+ * Validates values against a schema, where each key is a type (`string`, `number`, `boolean`,
+ * `object` or `array`, optional when ending with `?`) or a nested schema.
+ * @param values {Object} the values.
+ * @param schema {Object} the schema.
+ * @param prefix {string} [Optional] the path of the values, for messages.
+ * @return {Object} with the errors (missing keys, wrong types) and warnings (unknown keys).
+ */
+function validate(values, schema, prefix) {
+    const path = key => `${prefix || ''}${key}`;
+    const res = { errors: [], warnings: [] };
+
+    Object.keys(schema).forEach((key) => {
+        const isNested = getType(schema[key]) === 'object';
+        const type = isNested ? 'object' : String(schema[key]).replace(/\?$/, '');
+        const isOptional = !isNested && /\?$/.test(schema[key]);
+        if (!isNested && types.indexOf(type) < 0) {
+            res.errors.push(`invalid type ${schema[key]} of ${path(key)} in schema,`
+                + ` valid ones are: ${types.join(', ')}`);
+        } else if (values[key] === undefined) {
+            if (!isOptional) {
+                res.errors.push(`missing ${path(key)}`);
+            }
+        } else if (getType(values[key]) !== type) {
+            res.errors.push(`${path(key)} must be of type ${type}, found ${getType(values[key])}`);
+        } else if (isNested) {
+            const nested = validate(values[key], schema[key], `${path(key)}.`);
+            res.errors = res.errors.concat(nested.errors);
+            res.warnings = res.warnings.concat(nested.warnings);
+        }
+    });
+    Object.keys(values)
+        .filter(key => schema[key] === undefined)
+        .forEach(key => res.warnings.push(`unknown ${path(key)}, it is not in the schema`));
+    return res;
+}
+
+/**
+ * Loads the configuration of an environment, `<dir>/<env>.json`, and validates it against
+ * `<dir>/schema.json` when it exists.
+ * @param dir {string} the directory of the environment configurations.
+ * @param env {string} the environment.
+ * @return {Object} with the values, their source file, and the errors and warnings of the
+ * validation, or undefined when there is no configuration directory.
+ */
+function load(dir, env) {
+    const file = mpath.join(dir, `${env}.json`);
+    const schemaFile = mpath.join(dir, 'schema.json');
+
+    if (!fs.existsSync(dir)) {
+        return undefined;
+    }
+    if (!fs.existsSync(file)) {
+        throw new Error(`Missing environment configuration ${file}`);
+    }
+    const values = readJson(file);
+    if (getType(values) !== 'object') {
+        throw new Error(`Invalid environment configuration in ${file}: it must be an object`);
+    }
+    const res = fs.existsSync(schemaFile)
+        ? validate(values, readJson(schemaFile))
+        : { errors: [], warnings: [] };
+    return Object.assign(res, { values, source: file });
+}
+
+/**
+ * Generates an angular module with the values as a constant.
+ * @param values {Object} the values.
+ * @param moduleName {string} the name of the module.
+ * @param constantName {string} the name of the constant.
+ * @return {string} the code of the module.
+ */
+function toModule(values, moduleName, constantName) {
+    // Line and paragraph separators are valid in JSON, but not in javascript strings
+    const json = JSON.stringify(values).replace(/\u2028/g, '\\u2028').replace(/\u2029/g, '\\u2029');
+    return `angular.module(${JSON.stringify(moduleName)}, [])`
+        + `.constant(${JSON.stringify(constantName)}, ${json});`;
+}
+
+module.exports = {
+    load,
+    toModule,
+};
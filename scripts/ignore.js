@@ -0,0 +1,64 @@
+'use strict'; // eslint-disable-line strict, lines-around-directive
+
+const fs = require('fs');
+const Minimatch = require('minimatch').Minimatch;
+
+/**
+ * Parses gitignore-style rules: a pattern per line, `#` starts a comment, `!` negates a pattern
+ * (the file is included again), a trailing `/` only matches directories, and patterns with a `/`
+ * at the start or in the middle are anchored, while the other ones match at any depth.
+ * @param content {string} the rules.
+ * @return {Array} the rules: [{ pattern, isNegated, isDir, matcher }].
+ */
+function parse(content) {
+    return content.split(/\r?\n/)
+        .map(line => line.replace(/^\s+|\s+$/g, ''))
+        .filter(line => line && line[0] !== '#')
+        .map((line) => {
+            const isNegated = line[0] === '!';
+            const isDir = /\/$/.test(line);
+            const pattern = line.replace(/^!/, '').replace(/\/$/, '');
+            const glob = pattern.indexOf('/') >= 0 ? pattern.replace(/^\//, '') : `**/${pattern}`;
+            return {
+                pattern: line,
+                isNegated,
+                isDir,
+                matcher: new Minimatch(glob, { dot: true }),
+            };
+        });
+}
+
+/**
+ * Loads the rules of some files, in order, skipping the ones that do not exist.
+ * @param files {Array} the full paths of the files.
+ * @return {Array} the rules (see parse).
+ */
+function load(files) {
+    return files
+        .filter(file => fs.existsSync(file))
+        .reduce((rules, file) => rules.concat(parse(fs.readFileSync(file, 'utf8'))), []);
+}
+
+/**
+ * Whether a path is ignored by some rules. The last rule matching the path or any of its
+ * directories decides, so unlike git, files can be included again inside an ignored directory.
+ * @param rules {Array} the rules (see parse).
+ * @param file {string} the path, relative to the directory of the rules.
+ * @param isDir {boolean} [Optional] whether the path is a directory.
+ * @return {boolean}
+ */
+function isIgnored(rules, file, isDir) {
+    const parts = file.split(/[\\/]/);
+    const paths = parts.map((part, i) => parts.slice(0, i + 1).join('/'));
+
+    return rules.reduce((ignored, rule) => {
+        const isMatch = paths.some((path, i) => (!rule.isDir || isDir || i < paths.length - 1)
+            && rule.matcher.match(path));
+        return isMatch ? !rule.isNegated : ignored;
+    }, false);
+}
+
+module.exports = {
+    load,
+    isIgnored,
+};
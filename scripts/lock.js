@@ -0,0 +1,92 @@
+/* global logger */
+
+'use strict'; // eslint-disable-line strict, lines-around-directive
+
+const fs = require('fs');
+
+/**
+ * Whether a process is running.
+ * @param pid {number} the id of the process.
+ * @return {boolean}
+ */
+function isRunning(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (err) {
+        // The process exists, but belongs to another user
+        return err.code === 'EPERM';
+    }
+}
+
+/**
+ * Gets the owner of a lock. Stale locks, whose process is no longer running (it crashed or was
+ * killed), are removed.
+ * @param file {string} the lock file.
+ * @return {Object} the owner: { pid, mode, command, date } or undefined when it is not locked.
+ */
+function getOwner(file) {
+    let owner;
+
+    if (!fs.existsSync(file)) {
+        return undefined;
+    }
+    try {
+        owner = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        owner = undefined;
+    }
+    if (owner && owner.pid && isRunning(owner.pid)) {
+        return owner;
+    }
+    logger.warn(`Removing stale build lock ${file}`
+        + `${owner && owner.pid ? ` of process ${owner.pid}, which is not running` : ''}`);
+    try {
+        fs.unlinkSync(file);
+    } catch (err) { } // eslint-disable-line no-empty
+    return undefined;
+}
+
+/**
+ * Acquires a lock for the current process, unless another running process holds it. The lock
+ * file is created exclusively, so only one of several processes acquiring it at once gets it.
+ * @param file {string} the lock file.
+ * @param info {Object} what the lock is taken for: { mode, command }.
+ * @param isRetry {boolean} [Optional] whether it is retried after a stale lock was removed.
+ * @return {Object} the owner of the lock, which is the current process when it was acquired.
+ */
+function acquire(file, info, isRetry) {
+    const owner = getOwner(file);
+    const lock = Object.assign({ pid: process.pid, date: new Date().toISOString() }, info);
+
+    if (owner) {
+        return owner;
+    }
+    try {
+        fs.writeFileSync(file, JSON.stringify(lock), { flag: 'wx' });
+        return lock;
+    } catch (err) {
+        if (err.code === 'EEXIST' && !isRetry) {
+            return acquire(file, info, true);
+        }
+        throw err;
+    }
+}
+
+/**
+ * Releases a lock, when it is held by the current process.
+ * @param file {string} the lock file.
+ */
+function release(file) {
+    try {
+        if (JSON.parse(fs.readFileSync(file, 'utf8')).pid === process.pid) {
+            fs.unlinkSync(file);
+        }
+    } catch (err) { } // eslint-disable-line no-empty
+}
+
+module.exports = {
+    acquire,
+    release,
+    getOwner,
+};
@@ -0,0 +1,214 @@
+'use strict'; // eslint-disable-line strict, lines-around-directive
+
+const suggest = require('./config').suggest;
+
+/**
+ * Options of the build by their long name, with their aliases, type (boolean, number, string or
+ * array, for repeatable ones), valid values, default value and the property of the resolved
+ * options that gets them, which is the camel cased long name unless another one is given.
+ */
+const schema = {
+    help: { alias: ['h'], type: 'boolean', description: 'Show this help' },
+    mode: {
+        type: 'string',
+        values: ['build', 'serve', 'watch', 'copy'],
+        arg: 'mode',
+        description: 'build, serve (copy and sync changes), watch (build and rebuild changes) or copy src',
+    },
+    production: { alias: ['p', 'prod', 'release'], type: 'boolean', description: 'Production build (minified, no DEBUG)' },
+    debug: { alias: ['d'], type: 'boolean', description: 'DEBUG preprocess variable in production' },
+    'angular-debug': { alias: ['ad'], type: 'boolean', description: 'ANGULAR_DEBUG preprocess variable in production' },
+    'skip-lint': { alias: ['sl'], type: 'boolean', description: 'Skip lint' },
+    'no-fail-lint': { alias: ['nf'], type: 'boolean', description: 'Don\'t fail on javascript/html/css errors' },
+    'skip-comp': { alias: ['sc'], type: 'boolean', description: 'Skip compression' },
+    verbose: { alias: ['vb', 'verb'], type: 'boolean', description: 'Verbose' },
+    'extended-report': { alias: ['xr'], type: 'boolean', description: 'Write extended lint reports in logs' },
+    'report-format': {
+        alias: ['rf'],
+        type: 'string',
+        arg: 'formats',
+        description: 'Formats of extended reports: html, json, junit, checkstyle',
+    },
+    'skip-open': { alias: ['so'], type: 'boolean', description: 'Don\'t open html reports' },
+    'skip-all': { alias: ['sa'], type: 'boolean', description: 'Not used, accepted for compatibility' },
+    'preprocess-resources': { alias: ['ppr'], type: 'boolean', description: 'Preprocess scripts and stylesheets' },
+    'source-maps': { alias: ['sm'], type: 'boolean', description: 'Generate source maps' },
+    'external-source-maps': { alias: ['esm'], type: 'boolean', description: 'Write source maps out of www' },
+    watch: { alias: ['w'], type: 'boolean', description: 'Watch src, same as --mode=serve' },
+    skip: { type: 'boolean', description: 'Copy src without building, same as --mode=copy' },
+    'watch-build': { alias: ['wb'], type: 'boolean', description: 'Run the build pipeline when watching' },
+    'dev-server': { alias: ['ds'], type: 'boolean', description: 'Serve www with live reload when watching' },
+    'dev-server-port': { type: 'number', default: 8200, arg: 'port', description: 'Port of the dev server' },
+    'dev-server-host': { type: 'string', default: 'localhost', arg: 'host', description: 'Host of the dev server' },
+    fingerprint: { alias: ['fp'], type: 'boolean', description: 'Name files by content hash' },
+    'service-worker': {
+        alias: ['sw'],
+        type: 'boolean',
+        description: 'Write a precache manifest and service worker, registered in browser builds',
+    },
+    'skip-cache': { alias: ['sca'], type: 'boolean', description: 'Don\'t use the build cache' },
+    'clear-cache': { alias: ['cc'], type: 'boolean', description: 'Clear the build cache' },
+    'inline-limit': {
+        alias: ['il'],
+        type: 'number',
+        default: 0,
+        arg: 'bytes',
+        description: 'Max bytes of resources inlined in stylesheets',
+    },
+    env: {
+        alias: ['e'],
+        type: 'string',
+        property: 'configEnv',
+        arg: 'env',
+        description: 'Environment of the configuration constant',
+    },
+    define: { alias: ['df'], type: 'array', arg: 'KEY=VALUE', description: 'Preprocess variable, may be repeated' },
+    rollback: { alias: ['rb'], type: 'boolean', description: 'Restore the previous build instead of building' },
+    dest: { type: 'string', default: 'build', arg: 'dir', description: 'Where platforms are built apart' },
+};
+
+/**
+ * Options of the cordova, phonegap and ionic commands running the build, which are not warned.
+ */
+const hostOptions = ['argv', 'silent', 'browserify', 'fetch', 'nohooks', 'device', 'emulator', 'nobuild',
+    'noprepare', 'list', 'buildConfig', 'target', 'livereload', 'consolelogs', 'serverlogs', 'port',
+    'address', 'l', 'c', 's', 'r'];
+
+const getProperty = name => schema[name].property
+    || name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+
+const names = Object.keys(schema).reduce((res, name) => {
+    res[name] = name; // eslint-disable-line no-param-reassign
+    (schema[name].alias || []).forEach((alias) => {
+        res[alias] = name; // eslint-disable-line no-param-reassign
+    });
+    return res;
+}, {});
+
+/**
+ * Converts a value to the type of an option, throwing an error when it is not valid.
+ * @param name {string} the long name of the option.
+ * @param value {*} the value, which is an array when the option was repeated.
+ * @param source {string} where the value comes from, for messages.
+ * @return {*} the converted value.
+ */
+function convert(name, value, source) {
+    const option = schema[name];
+    const last = Array.isArray(value) && option.type !== 'array' ? value[value.length - 1] : value;
+    const fail = reason => new Error(`Invalid option --${name}=${value} in ${source}: ${reason}`);
+    let res = last;
+
+    if (option.type === 'boolean') {
+        if (['true', 'false'].indexOf(String(last)) < 0) {
+            throw fail('it is a flag, it takes no value');
+        }
+        return String(last) === 'true';
+    }
+    if ([].concat(last).some(item => item === true)) {
+        throw fail(`it needs a value, like --${name}=<${option.arg}>`);
+    }
+    if (option.type === 'number') {
+        res = Number(last);
+        if (isNaN(res)) {
+            throw fail('it must be a number');
+        }
+    } else if (option.type === 'array') {
+        res = [].concat(last).map(String);
+    } else {
+        res = String(last);
+    }
+    if (option.values && option.values.indexOf(res) < 0) {
+        throw fail(`valid values are ${option.values.join(', ')}`);
+    }
+    return res;
+}
+
+/**
+ * Resolves options given by any of their names to the property of their long name (see schema),
+ * converting their values to the type of the option. Unknown options are warned, with the most
+ * similar option when there is one.
+ * @param given {Object} the options by any of their names.
+ * @param source {string} where the options come from, for messages.
+ * @return {Object} with the values by property, their long names by property and the warnings.
+ */
+function resolve(given, source) {
+    const res = { values: {}, names: {}, warnings: [] };
+
+    Object.keys(given || {}).forEach((key) => {
+        const name = names[key];
+        if (!name) {
+            if (hostOptions.indexOf(key) < 0) {
+                const suggestion = suggest(key, Object.keys(names));
+                res.warnings.push(`Unknown option "${key}" in ${source}, it is ignored`
+                    + `${suggestion ? ` (did you mean --${names[suggestion]}?)` : ''}`);
+            }
+            return;
+        }
+        if (given[key] !== undefined) {
+            res.values[getProperty(name)] = convert(name, given[key], source);
+            res.names[getProperty(name)] = name;
+        }
+    });
+    return res;
+}
+
+/**
+ * Whether an option takes a value, so that it can also be given as `--name value`.
+ * @param key {string} any of the names of the option.
+ * @return {boolean} false for flags and unknown options.
+ */
+function takesValue(key) {
+    return !!names[key] && schema[names[key]].type !== 'boolean';
+}
+
+/**
+ * Gets the default values of the options that have one.
+ * @return {Object} the values by property.
+ */
+function getDefaults() {
+    return Object.keys(schema)
+        .filter(name => schema[name].default !== undefined)
+        .reduce((res, name) => Object.assign(res,
+            { [getProperty(name)]: schema[name].default }), {});
+}
+
+/**
+ * Describes options as they would be given in the command line.
+ * @param values {Object} the values by property.
+ * @param optionNames {Object} the long names by property.
+ * @return {Array} the descriptions, like `--skip-lint` or `--inline-limit=1024`.
+ */
+function describe(values, optionNames) {
+    return Object.keys(optionNames)
+        .filter(property => values[property] !== false)
+        .map(property => (values[property] === true ? `--${optionNames[property]}`
+            : [].concat(values[property]).map(value => `--${optionNames[property]}=${value}`).join(' ')));
+}
+
+/**
+ * Gets the usage of the options, to show as help.
+ * @param excluded {Array} [Optional] long names of options that are not shown.
+ * @return {string} a line per option, with its first alias, long name and description.
+ */
+function usage(excluded) {
+    return Object.keys(schema)
+        .filter(name => (excluded || []).indexOf(name) < 0)
+        .map((name) => {
+            const option = schema[name];
+            const alias = (option.alias || [])[0];
+            const flag = `${alias ? `-${alias}, ` : ''}--${name}${option.arg ? `=<${option.arg}>` : ''}`;
+            const defaultValue = option.default !== undefined && option.default !== 0
+                ? ` (default: ${option.default})` : '';
+            return `  ${flag}${Array(Math.max(1, 33 - flag.length)).join(' ')}`
+                + `${option.description}${defaultValue}`;
+        })
+        .join('\n');
+}
+
+module.exports = {
+    resolve,
+    takesValue,
+    getDefaults,
+    describe,
+    usage,
+};
@@ -0,0 +1,186 @@
+/* global logger */
+
+'use strict'; // eslint-disable-line strict, lines-around-directive
+
+const mpath = require('path');
+const fs = require('fs');
+const http = require('http');
+const WebSocket = require('ws');
+
+const clientPath = '/__livereload.js';
+const socketPath = '/__livereload';
+const mimeTypes = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.map': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.ico': 'image/x-icon',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf',
+    '.eot': 'application/vnd.ms-fontobject',
+    '.mp3': 'audio/mpeg',
+    '.mp4': 'video/mp4',
+};
+
+/**
+ * Live reload client, injected in index.html. Reloads the page or, when only stylesheets
+ * have changed, swaps them without reloading.
+ */
+const client = `(function () {
+    function swapStylesheets() {
+        var links = document.querySelectorAll('link[rel="stylesheet"]');
+        for (var i = 0; i < links.length; i += 1) {
+            var href = links[i].getAttribute('href').replace(/([?&])livereload=\\d+&?/, '$1').replace(/[?&]$/, '');
+            links[i].setAttribute('href', href + (href.indexOf('?') < 0 ? '?' : '&') + 'livereload=' + Date.now());
+        }
+    }
+    function connect() {
+        var socket = new WebSocket((location.protocol === 'https:' ? 'wss://' : 'ws://') + location.host + '${socketPath}');
+        socket.onmessage = function (event) {
+            var message = JSON.parse(event.data);
+            if (message.type === 'css') {
+                swapStylesheets();
+            } else {
+                location.reload();
+            }
+        };
+        socket.onclose = function () {
+            setTimeout(connect, 1000);
+        };
+    }
+    connect();
+}());
+`;
+
+let server;
+let wss;
+
+/**
+ * Whether an html file is a document (an entry like `index.html`), rather than a template
+ * fetched by angular, which must be served untouched.
+ * @param html {string} the html.
+ * @return {boolean}
+ */
+function isDocument(html) {
+    return /<html[\s>]|<\/body>/i.test(html);
+}
+
+/**
+ * Injects the live reload client in an html page.
+ * @param html {string} the html page.
+ * @return {string} the html page with the live reload client.
+ */
+function injectClient(html) {
+    const script = `<script src="${clientPath}"></script>`;
+    return /<\/body>/i.test(html) ? html.replace(/<\/body>/i, `${script}</body>`) : `${html}${script}`;
+}
+
+/**
+ * Serves a file from www, injecting the live reload client in html documents.
+ */
+function handleRequest(www, req, res) {
+    let url;
+    try {
+        url = decodeURIComponent(req.url.split(/[?#]/)[0]);
+    } catch (err) {
+        url = '/';
+    }
+
+    if (url === clientPath) {
+        res.writeHead(200, { 'Content-Type': mimeTypes['.js'], 'Cache-Control': 'no-cache' });
+        res.end(client);
+        return;
+    }
+
+    let filePath = mpath.join(www, mpath.normalize(url));
+    if (filePath.indexOf(www) !== 0) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+    if (/\/$/.test(url)) {
+        filePath = mpath.join(filePath, 'index.html');
+    }
+
+    fs.readFile(filePath, (err, data) => {
+        if (err) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end(`Not found: ${url}`);
+            return;
+        }
+        const ext = mpath.extname(filePath).toLowerCase();
+        res.writeHead(200, {
+            'Content-Type': mimeTypes[ext] || 'application/octet-stream',
+            'Cache-Control': 'no-cache',
+        });
+        const html = ext === '.html' ? data.toString() : '';
+        res.end(isDocument(html) ? injectClient(html) : data);
+    });
+}
+
+/**
+ * Starts a local http server over www with live reload.
+ * @param www {string} the path to serve.
+ * @param port {number} the port to listen to.
+ * @param host {string} the host to listen to.
+ * @return {Promise}
+ */
+function start(www, port, host) {
+    return new Promise((resolve, reject) => {
+        server = http.createServer((req, res) => handleRequest(mpath.resolve(www), req, res));
+        wss = new WebSocket.Server({ server, path: socketPath });
+        server.on('error', reject);
+        server.listen(port, host, () => {
+            logger.info(`Serving ${www} at http://${host}:${port}/ with live reload`);
+            resolve();
+        });
+    });
+}
+
+/**
+ * Notifies all connected clients that some files have changed, so they reload.
+ * When all of them are stylesheets, clients just swap their stylesheets.
+ * @param files {Array} the changed files.
+ */
+function reload(files) {
+    if (!wss) {
+        return;
+    }
+    const type = files.every(file => /\.css$/i.test(file)) ? 'css' : 'reload';
+    const message = JSON.stringify({ type, files });
+    wss.clients.forEach((socket) => {
+        if (socket.readyState === WebSocket.OPEN) {
+            socket.send(message);
+        }
+    });
+}
+
+/**
+ * Stops the server.
+ * @return {Promise}
+ */
+function stop() {
+    return new Promise((resolve) => {
+        if (!server) {
+            resolve();
+            return;
+        }
+        wss.close();
+        server.close(() => resolve());
+        server = null;
+        wss = null;
+    });
+}
+
+module.exports = {
+    start,
+    reload,
+    stop,
+};
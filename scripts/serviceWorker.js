@@ -0,0 +1,86 @@
+'use strict'; // eslint-disable-line strict, lines-around-directive
+
+const crypto = require('crypto');
+
+/**
+ * Gets the precache manifest of a build, versioned by the hashes of its files.
+ * @param files {Array} the files: [{ url, revision }], where url is relative to www and revision
+ * is the hash of the content.
+ * @return {Object} the manifest: { version, files }.
+ */
+function getManifest(files) {
+    const sorted = files.slice().sort((a, b) => (a.url < b.url ? -1 : 1));
+    const hash = crypto.createHash('md5');
+    sorted.forEach(file => hash.update(`${file.url}\0${file.revision}\0`));
+    return {
+        version: hash.digest('hex').substr(0, 8),
+        files: sorted,
+    };
+}
+
+/**
+ * Generates a cache-first service worker that precaches the files of a manifest. Its cache is
+ * named by the version of the manifest, so a new build installs a new cache and the caches of
+ * previous builds are deleted once it is activated. Query strings are ignored when matching,
+ * as bundles are referenced with `?v=` unless they are fingerprinted, and navigations are
+ * answered with the cached `index.html`.
+ * @param manifest {Object} the manifest (see getManifest).
+ * @param cacheName {string} the prefix of the cache names.
+ * @return {string} the code of the service worker.
+ */
+function toScript(manifest, cacheName) {
+    const prefix = JSON.stringify(`${cacheName}-`);
+    return `/* Generated by ionic-plugin-build, do not edit */
+var CACHE_PREFIX = ${prefix};
+var CACHE_NAME = CACHE_PREFIX + ${JSON.stringify(manifest.version)};
+var PRECACHE = ${JSON.stringify(manifest.files.map(file => file.url))};
+
+self.addEventListener('install', function (event) {
+    event.waitUntil(caches.open(CACHE_NAME)
+        .then(function (cache) { return cache.addAll(PRECACHE); })
+        .then(function () { return self.skipWaiting(); }));
+});
+
+self.addEventListener('activate', function (event) {
+    event.waitUntil(caches.keys()
+        .then(function (keys) {
+            return Promise.all(keys
+                .filter(function (key) { return key.indexOf(CACHE_PREFIX) === 0 && key !== CACHE_NAME; })
+                .map(function (key) { return caches.delete(key); }));
+        })
+        .then(function () { return self.clients.claim(); }));
+});
+
+self.addEventListener('fetch', function (event) {
+    if (event.request.method !== 'GET') {
+        return;
+    }
+    event.respondWith(caches.open(CACHE_NAME)
+        .then(function (cache) {
+            return cache.match(event.request, { ignoreSearch: true })
+                .then(function (cached) {
+                    return cached || (event.request.mode === 'navigate' && cache.match('index.html'));
+                });
+        })
+        .then(function (cached) { return cached || fetch(event.request); }));
+});
+`;
+}
+
+/**
+ * Injects the registration of a service worker into an html entry, just before `</body>`.
+ * @param html {string} the html.
+ * @param url {string} the url of the service worker, relative to the html entry.
+ * @return {string} the html with the registration.
+ */
+function injectRegistration(html, url) {
+    const script = '<script>if (\'serviceWorker\' in navigator) {'
+        + ` navigator.serviceWorker.register(${JSON.stringify(url)}); }</script>`;
+    return /<\/body>/i.test(html) ? html.replace(/<\/body>/i, `${script}</body>`) : `${html}${script}`;
+}
+
+module.exports = {
+    getManifest,
+    toScript,
+    injectRegistration,
+};
@@ -0,0 +1,182 @@
+/* global logger */
+
+'use strict'; // eslint-disable-line strict, lines-around-directive
+
+const zlib = require('zlib');
+const chalk = require('chalk');
+
+const severities = ['warning', 'error'];
+const units = { b: 1, kb: 1024, mb: 1024 * 1024 };
+
+/**
+ * Parses a size given in bytes or as a string with unit (b, kb, mb), like `'200kb'`.
+ * @param size {number|string} the size.
+ * @return {number} the size in bytes or NaN when it is not valid.
+ */
+function parseSize(size) {
+    if (typeof size === 'number') {
+        return size >= 0 ? size : NaN;
+    }
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(b|kb|mb)?\s*$/i.exec(String(size));
+    return match ? Math.round(Number(match[1]) * units[(match[2] || 'b').toLowerCase()]) : NaN;
+}
+
+/**
+ * Formats a size in bytes for humans.
+ * @param size {number} the size in bytes.
+ * @return {string} the formatted size.
+ */
+function formatSize(size) {
+    if (size < 1024) {
+        return `${size} B`;
+    }
+    return size < 1024 * 1024 ? `${(size / 1024).toFixed(1)} kB` : `${(size / 1024 / 1024).toFixed(2)} MB`;
+}
+
+/**
+ * Validates the budgets of the build configuration, throwing an error for the first invalid one.
+ * @param budgets {Array} the budgets: [{ bundle, maxSize, maxGzip, severity }], where bundle is
+ * the path of an output in www or `total`.
+ */
+function validateBudgets(budgets) {
+    (budgets || []).forEach((budget) => {
+        const description = JSON.stringify(budget);
+        if (!budget || typeof budget.bundle !== 'string') {
+            throw new Error(`Invalid budget in build configuration: ${description}, bundle must be`
+                + ' the path of an output in www or total');
+        }
+        if (budget.maxSize === undefined && budget.maxGzip === undefined) {
+            throw new Error(`Invalid budget in build configuration: ${description}, it needs maxSize or maxGzip`);
+        }
+        ['maxSize', 'maxGzip'].forEach((key) => {
+            if (budget[key] !== undefined && isNaN(parseSize(budget[key]))) {
+                throw new Error(`Invalid budget in build configuration: ${description}, ${key} must be`
+                    + ' a number of bytes or a size like 200kb');
+            }
+        });
+        if (budget.severity !== undefined && severities.indexOf(budget.severity) < 0) {
+            throw new Error(`Invalid budget in build configuration: ${description}, severity must be`
+                + ` one of ${severities.join(', ')}`);
+        }
+    });
+}
+
+/**
+ * Measures an output file and the inputs it is made of.
+ * @param file {string} the path of the output, relative to www.
+ * @param content {string} the content of the output.
+ * @param inputs {Array} the inputs: [{ source, size, minified }], sizes in bytes before and
+ * after minification.
+ * @return {Object} the sizes: { file, size, gzip, inputs: [{ source, size, minified, share }] }.
+ */
+function measure(file, content, inputs) {
+    const size = Buffer.byteLength(content);
+    return {
+        file,
+        size,
+        gzip: zlib.gzipSync(content).length,
+        inputs: inputs.map(input => Object.assign({}, input, {
+            share: size ? Math.round((input.minified / size) * 1000) / 10 : 0,
+        })).sort((a, b) => b.minified - a.minified),
+    };
+}
+
+/**
+ * Checks the budgets against the measured outputs.
+ * @param outputs {Array} the measured outputs.
+ * @param budgets {Array} the budgets.
+ * @return {Array} the results: [{ bundle, severity, limit, max, actual, isExceeded }].
+ */
+function checkBudgets(outputs, budgets) {
+    const total = {
+        size: outputs.reduce((sum, output) => sum + output.size, 0),
+        gzip: outputs.reduce((sum, output) => sum + output.gzip, 0),
+    };
+    return (budgets || []).reduce((results, budget) => {
+        const measured = budget.bundle === 'total' ? total
+            : outputs.filter(output => output.file === budget.bundle)[0];
+        if (!measured) {
+            logger.warn(`Size budget for ${budget.bundle}, which is not an output of the build`);
+            return results;
+        }
+        [['maxSize', 'size'], ['maxGzip', 'gzip']]
+            .filter(limit => budget[limit[0]] !== undefined)
+            .forEach((limit) => {
+                const max = parseSize(budget[limit[0]]);
+                results.push({
+                    bundle: budget.bundle,
+                    severity: budget.severity || 'warning',
+                    limit: limit[1],
+                    max,
+                    actual: measured[limit[1]],
+                    isExceeded: measured[limit[1]] > max,
+                });
+            });
+        return results;
+    }, []);
+}
+
+/**
+ * Logs the sizes of the outputs and their inputs, and the exceeded budgets.
+ * @param outputs {Array} the measured outputs.
+ * @param results {Array} the results of the budgets.
+ * @param isVerbose {boolean} whether to log the inputs of every output.
+ */
+function log(outputs, results, isVerbose) {
+    const width = outputs.reduce((max, output) => Math.max(max, output.file.length), 'total'.length);
+    const line = (name, size, gzip) => `${name}${Array((width - name.length) + 3).join(' ')}`
+        + `${formatSize(size)} (gzip ${formatSize(gzip)})`;
+
+    logger.info('Bundle sizes:');
+    outputs.forEach((output) => {
+        logger.info(chalk.magenta(line(output.file, output.size, output.gzip)));
+        output.inputs.filter((input, i) => isVerbose || i < 5).forEach((input) => {
+            logger.info(`    ${input.source} ${formatSize(input.size)} -> ${formatSize(input.minified)}`
+                + ` (${input.share}%)`);
+        });
+        if (!isVerbose && output.inputs.length > 5) {
+            logger.info(`    ... ${output.inputs.length - 5} more`);
+        }
+    });
+    logger.info(chalk.cyan(line('total', outputs.reduce((sum, output) => sum + output.size, 0),
+        outputs.reduce((sum, output) => sum + output.gzip, 0))));
+    results.filter(result => result.isExceeded).forEach((result) => {
+        const message = `Size budget exceeded: ${result.bundle} ${result.limit === 'gzip' ? 'gzipped ' : ''}`
+            + `is ${formatSize(result.actual)}, max ${formatSize(result.max)}`;
+        if (result.severity === 'error') {
+            logger.error(chalk.red.bold(message));
+        } else {
+            logger.warn(chalk.yellow.bold(message));
+        }
+    });
+}
+
+/**
+ * Reports the sizes of the outputs of a build and checks them against the budgets.
+ * @param outputs {Array} the measured outputs.
+ * @param budgets {Array} the budgets.
+ * @param isVerbose {boolean} whether to log the inputs of every output.
+ * @return {Object} the report: { date, total, outputs, budgets, isFailed }, failed when a
+ * budget with error severity is exceeded.
+ */
+function report(outputs, budgets, isVerbose) {
+    const results = checkBudgets(outputs, budgets);
+    log(outputs, results, isVerbose);
+    return {
+        date: new Date().toISOString(),
+        total: {
+            size: outputs.reduce((sum, output) => sum + output.size, 0),
+            gzip: outputs.reduce((sum, output) => sum + output.gzip, 0),
+        },
+        outputs,
+        budgets: results,
+        isFailed: results.some(result => result.isExceeded && result.severity === 'error'),
+    };
+}
+
+module.exports = {
+    formatSize,
+    validateBudgets,
+    measure,
+    report,
+};